@@ -1,205 +1,295 @@
-class Point3D {
-    constructor(x, y, z) {
-        this.x = x; this.y = y; this.z = z;
-    }
-    
-    subtract(other) {
-        return new Point3D(this.x - other.x, this.y - other.y, this.z - other.z);
-    }
-    
-    add(other) {
-        return new Point3D(this.x + other.x, this.y + other.y, this.z + other.z);
-    }
+import { Point3D, Camera } from './src/math.js';
+import { Light, Material, LIGHTING_MODEL_NAMES, hexToColor, colorToHex, Texture } from './src/materials.js';
+import { PROCEDURAL_MESHES, MeshGenerator, OBJLoader } from './src/geometry.js';
+import { SCENE_FORMAT_NAME, SCENE_FORMAT_VERSION, SceneFormat, SceneNode } from './src/scene.js';
+import { GIFEncoder } from './src/gif-encoder.js';
+import { Renderer, FALLBACK_MODEL } from './src/renderer.js';
+import { NODE_TRACKS, LIGHT_TRACKS } from './src/timeline.js';
 
-    cross(other) {
-        return new Point3D(
-            this.y * other.z - this.z * other.y,
-            this.z * other.x - this.x * other.z,
-            this.x * other.y - this.y * other.x
-        );
-    }
+const SHADING_MODE_NAMES = {
+    'flat': 'Flat',
+    'gouraud': 'Gouraud',
+    'phong': 'Phong'
+};
 
-    dot(other) {
-        return this.x * other.x + this.y * other.y + this.z * other.z;
-    }
+const DEBUG_VIEW_NAMES = {
+    'normals': 'Normals',
+    'uv': 'UV',
+    'checker': 'UV checker',
+    'diffuse': 'Diffuse term',
+    'specular': 'Specular term'
+};
 
-    length() {
-        return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
-    }
+function textureFromImage(image) {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return new Texture(image.width, image.height, ctx.getImageData(0, 0, image.width, image.height).data);
+}
 
-    normalize() {
-        const len = this.length();
-        return len > 0 ? new Point3D(this.x/len, this.y/len, this.z/len) : this;
-    }
-    
-    multiply(scalar) {
-        return new Point3D(this.x * scalar, this.y * scalar, this.z * scalar);
-    }
+function textureToDataURL(texture) {
+    const level = texture.levels[0];
+    const canvas = document.createElement('canvas');
+    canvas.width = level.width;
+    canvas.height = level.height;
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.createImageData(level.width, level.height);
+    imageData.data.set(level.data);
+    ctx.putImageData(imageData, 0, 0);
+    return canvas.toDataURL('image/png');
 }
 
-class Vertex {
-    constructor(position) {
-        this.position = position;
-        this.normal = new Point3D(0, 0, 0);
+class Lighting3DViewer extends Renderer {
+    constructor() {
+        const canvas = document.getElementById('renderCanvas');
+        super(canvas.width, canvas.height);
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+
+        this.selectedLight = 0;
+        this.frameStats = { lastFrame: 0, fps: 0, frameTime: 0 };
+        this.hashState = { value: '', lastUpdate: 0 };
+        this.turntableActive = false;
+        this.timelineClock = performance.now();
+
+        this.setupEventListeners();
+        this.syncSceneControls();
+        this.loadUrlHash();
+        window.addEventListener('hashchange', () => this.loadUrlHash());
+        this.render();
     }
-}
 
-class Face {
-    constructor(vertexIndices, texCoords) {
-        this.vertexIndices = vertexIndices;
-        this.texCoords = texCoords;
+    addObject() {
+        const node = new SceneNode('Object ' + (++this.objectCounter), this.selectedObject.modelKey);
+        node.translation = { x: 2, y: 0, z: 0 };
+        node.material = new Material(this.selectedObject.material);
+        this.objects.push(node);
+        this.selectObject(node);
     }
-}
 
-class Model3D {
-    constructor(vertices, faces) {
-        this.vertices = vertices;
-        this.faces = faces.map(f => new Face(f.indices, f.texCoords || []));
-        this.calculateNormals();
+    removeObject(node) {
+        if (this.objects.length <= 1) return;
+        this.timeline.removeTarget(node);
+        node.children.slice().forEach(child => child.setParent(node.parent));
+        node.setParent(null);
+        this.objects.splice(this.objects.indexOf(node), 1);
+        this.selectObject(this.objects[0]);
     }
-    
-    calculateNormals() {
-        this.vertices.forEach(v => v.normal = new Point3D(0, 0, 0));
-        this.faces.forEach(face => {
-            if (face.vertexIndices.length < 3) return;
 
-            const v0 = this.vertices[face.vertexIndices[0]].position;
-            const v1 = this.vertices[face.vertexIndices[1]].position;
-            const v2 = this.vertices[face.vertexIndices[2]].position;
-            
-            const normal = v1.subtract(v0).cross(v2.subtract(v0)).normalize();
-            
-            face.vertexIndices.forEach(idx => {
-                this.vertices[idx].normal = this.vertices[idx].normal.add(normal);
-            });
-        });
-        
-        this.vertices.forEach(v => v.normal = v.normal.normalize());
+    selectObject(node) {
+        this.selectedObject = node;
+        this.syncSceneControls();
     }
-}
 
-class Lighting3DViewer {
-    constructor() {
-        this.canvas = document.getElementById('renderCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        this.currentModel = 'cube';
-        this.shadingMode = 'phong';
-        this.enableTexturing = false;
-        this.lightPosition = new Point3D(2, 2, 2);
-        this.objectColor = { r: 0.8, g: 0.6, b: 0.4 };
-        
-        this.ambient = 0.1;
-        this.specularColor = { r: 1.0, g: 1.0, b: 1.0 };
-        this.specularIntensity = 0.8;
-        this.shininess = 32;
+    syncSceneControls() {
+        const node = this.selectedObject;
+        const objectSelect = document.getElementById('objectSelect');
+        if (objectSelect) {
+            objectSelect.innerHTML = '';
+            this.getSceneOrder().forEach(({ node: entry, depth }) => {
+                const option = document.createElement('option');
+                option.value = this.objects.indexOf(entry);
+                option.textContent = '\u00a0\u00a0'.repeat(depth) + entry.name + ' (' + entry.modelKey + ')';
+                objectSelect.add(option);
+            });
+            objectSelect.value = this.objects.indexOf(node);
+        }
 
-        this.enableToonShading = false;
-        this.toonBands = 4;
-        
-        this.rotation = { x: 0, y: 0, z: 0 };
-        this.scale = 1.0;
-        this.translation = { x: 0, y: 0, z: 0 };
-        
-        this.cameraDistance = 5;
-        this.perspective = 500;
-        
-        this.textureImage = null;
-        this.textureCanvas = document.createElement('canvas');
-        this.textureCtx = this.textureCanvas.getContext('2d');
-        
-        this.models = this.createModels();
-        this.setupEventListeners();
-        this.render();
+        const parentSelect = document.getElementById('parentSelect');
+        if (parentSelect) {
+            parentSelect.innerHTML = '';
+            const none = document.createElement('option');
+            none.value = -1;
+            none.textContent = 'None';
+            parentSelect.add(none);
+            this.objects.forEach((candidate, index) => {
+                if (candidate === node || node.isAncestorOf(candidate)) return;
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = candidate.name;
+                parentSelect.add(option);
+            });
+            parentSelect.value = node.parent ? this.objects.indexOf(node.parent) : -1;
+        }
+
+        const modelSelect = document.getElementById('modelSelect');
+        if (modelSelect) modelSelect.value = node.modelKey;
+        const textureToggle = document.getElementById('textureToggle');
+        if (textureToggle) textureToggle.checked = node.textured;
+        const textureWrap = document.getElementById('textureWrap');
+        if (textureWrap) textureWrap.value = node.wrapMode;
+
+        this.syncMeshParams();
+        this.syncTransformControls();
+        this.syncMaterialControls();
     }
-    
-    createModels() {
-        const cubeVertices = [
-            new Vertex(new Point3D(-1, -1, -1)),
-            new Vertex(new Point3D(1, -1, -1)),
-            new Vertex(new Point3D(1, 1, -1)),
-            new Vertex(new Point3D(-1, 1, -1)),
-            new Vertex(new Point3D(-1, -1, 1)),
-            new Vertex(new Point3D(1, -1, 1)),
-            new Vertex(new Point3D(1, 1, 1)),
-            new Vertex(new Point3D(-1, 1, 1))
-        ];
-        
-        const cubeFaces = [
-            { indices: [0, 3, 2, 1], texCoords: [{ u: 0, v: 1 }, { u: 0, v: 0 }, { u: 1, v: 0 }, { u: 1, v: 1 }] },
-            { indices: [4, 5, 6, 7], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
-            { indices: [0, 1, 5, 4], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
-            { indices: [2, 3, 7, 6], texCoords: [{ u: 1, v: 1 }, { u: 0, v: 1 }, { u: 0, v: 0 }, { u: 1, v: 0 }] },
-            { indices: [0, 4, 7, 3], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
-            { indices: [1, 2, 6, 5], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] }
-        ];
-        
-        const tetraVertices = [
-            new Vertex(new Point3D(0, 1, 0)),
-            new Vertex(new Point3D(0.87, -0.5, 0)),
-            new Vertex(new Point3D(-0.87, -0.5, 0)),
-            new Vertex(new Point3D(0, 0, 1.41))
-        ];
-        
-        const tetraFaces = [
-            { indices: [0, 2, 1], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 1 }, { u: 1, v: 1 }] },
-            { indices: [0, 1, 3], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 1 }, { u: 1, v: 1 }] },
-            { indices: [0, 3, 2], texCoords: [{ u: 0.5, v: 0 }, { u: 1, v: 1 }, { u: 0, v: 1 }] },
-            { indices: [1, 2, 3], texCoords: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0.5, v: 1 }] }
-        ];
-        
-        const octaVertices = [
-            new Vertex(new Point3D(0, 1, 0)),
-            new Vertex(new Point3D(1, 0, 0)),
-            new Vertex(new Point3D(0, 0, 1)),
-            new Vertex(new Point3D(-1, 0, 0)),
-            new Vertex(new Point3D(0, 0, -1)),
-            new Vertex(new Point3D(0, -1, 0))
-        ];
-        
-        const octaFaces = [
-            { indices: [0, 1, 2], texCoords: [{ u: 0.5, v: 0 }, { u: 1, v: 0.5 }, { u: 0.5, v: 1 }] },
-            { indices: [0, 2, 3], texCoords: [{ u: 0.5, v: 0 }, { u: 0.5, v: 1 }, { u: 0, v: 0.5 }] },
-            { indices: [0, 3, 4], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 0.5 }, { u: 0.5, v: 1 }] },
-            { indices: [0, 4, 1], texCoords: [{ u: 0.5, v: 0 }, { u: 0.5, v: 1 }, { u: 1, v: 0.5 }] },
-            { indices: [5, 2, 1], texCoords: [{ u: 0.5, v: 1 }, { u: 0.5, v: 0 }, { u: 1, v: 0.5 }] },
-            { indices: [5, 3, 2], texCoords: [{ u: 0.5, v: 1 }, { u: 0, v: 0.5 }, { u: 0.5, v: 0 }] },
-            { indices: [5, 4, 3], texCoords: [{ u: 0.5, v: 1 }, { u: 0.5, v: 0 }, { u: 0, v: 0.5 }] },
-            { indices: [5, 1, 4], texCoords: [{ u: 0.5, v: 1 }, { u: 1, v: 0.5 }, { u: 0.5, v: 0 }] }
-        ];
-        
-        return {
-            cube: new Model3D(cubeVertices, cubeFaces),
-            tetrahedron: new Model3D(tetraVertices, tetraFaces),
-            octahedron: new Model3D(octaVertices, octaFaces)
+
+    syncTransformControls() {
+        const node = this.selectedObject;
+        const values = {
+            translateX: node.translation.x,
+            translateY: node.translation.y,
+            translateZ: node.translation.z,
+            rotateX: Math.round(node.rotation.x * 180 / Math.PI),
+            rotateY: Math.round(node.rotation.y * 180 / Math.PI),
+            rotateZ: Math.round(node.rotation.z * 180 / Math.PI),
+            scale: node.scale
         };
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            element.value = values[id];
+            const valueElement = document.getElementById(id + 'Value');
+            if (valueElement) {
+                valueElement.textContent = id.startsWith('rotate') ? values[id] + '°' : values[id].toFixed(1);
+            }
+        });
     }
-    
+
+    syncMeshParams() {
+        const container = document.getElementById('meshParams');
+        if (!container) return;
+        container.innerHTML = '';
+
+        const key = this.selectedObject.modelKey;
+        const params = PROCEDURAL_MESHES[key];
+        if (!params) return;
+
+        Object.entries(params).forEach(([name, param]) => {
+            const label = document.createElement('label');
+            const valueElement = document.createElement('span');
+            valueElement.className = 'range-value';
+            valueElement.textContent = this.meshParams[key][name];
+
+            const input = document.createElement('input');
+            input.type = 'range';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = this.meshParams[key][name];
+            input.addEventListener('input', (e) => {
+                this.meshParams[key][name] = parseFloat(e.target.value);
+                valueElement.textContent = e.target.value;
+                this.models[key] = MeshGenerator[key](this.meshParams[key]);
+            });
+
+            label.append(param.label + ': ', valueElement, input);
+            container.appendChild(label);
+        });
+    }
+
     setupEventListeners() {
         document.getElementById('modelSelect').addEventListener('change', (e) => {
-            this.currentModel = e.target.value;
+            this.selectedObject.modelKey = e.target.value;
+            this.syncSceneControls();
         });
+
+        const objectSelect = document.getElementById('objectSelect');
+        if (objectSelect) {
+            objectSelect.addEventListener('change', (e) => {
+                this.selectObject(this.objects[parseInt(e.target.value)]);
+            });
+            document.getElementById('addObject').addEventListener('click', () => this.addObject());
+            document.getElementById('removeObject').addEventListener('click', () => this.removeObject(this.selectedObject));
+            document.getElementById('parentSelect').addEventListener('change', (e) => {
+                const index = parseInt(e.target.value);
+                this.selectedObject.setParent(index >= 0 ? this.objects[index] : null);
+                this.syncSceneControls();
+            });
+        }
+
+        const saveScene = document.getElementById('saveScene');
+        if (saveScene) {
+            saveScene.addEventListener('click', () => this.downloadScene());
+            document.getElementById('sceneFile').addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadSceneFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const textureToggle = document.getElementById('textureToggle');
+        if (textureToggle) {
+            textureToggle.addEventListener('change', (e) => {
+                this.selectedObject.textured = e.target.checked;
+            });
+        }
+
+        const subdivisionLevel = document.getElementById('subdivisionLevel');
+        if (subdivisionLevel) {
+            subdivisionLevel.addEventListener('input', (e) => {
+                this.subdivisionLevel = parseInt(e.target.value);
+                document.getElementById('subdivisionLevelValue').textContent = e.target.value;
+            });
+        }
         document.getElementById('shadingMode').addEventListener('change', (e) => {
             this.shadingMode = e.target.value;
         });
+
+        const antialiasing = document.getElementById('antialiasing');
+        if (antialiasing) {
+            antialiasing.addEventListener('change', (e) => {
+                this.antialiasing = e.target.value;
+            });
+        }
+
+        const fxaaToggle = document.getElementById('fxaaToggle');
+        if (fxaaToggle) {
+            fxaaToggle.addEventListener('change', (e) => {
+                this.enableFXAA = e.target.checked;
+            });
+        }
+
+        const cullToggle = document.getElementById('cullToggle');
+        if (cullToggle) {
+            cullToggle.addEventListener('change', (e) => {
+                this.backfaceCulling = e.target.checked;
+            });
+        }
         
         document.getElementById('textureFile').addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    this.textureImage = new Image();
-                    this.textureImage.onload = () => {
-                        this.textureCanvas.width = this.textureImage.width;
-                        this.textureCanvas.height = this.textureImage.height;
-                        this.textureCtx.drawImage(this.textureImage, 0, 0);
-                        document.getElementById('fileStatus').textContent = 'Texture loaded: ' + 
-                            this.textureImage.width + 'x' + this.textureImage.height;
-                        this.enableTexturing = true;
-                    };
-                    this.textureImage.src = event.target.result;
-                };
-                reader.readAsDataURL(file);
+                this.loadTextureFile(file);
+            }
+        });
+
+        document.getElementById('normalMapFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.loadNormalMapFile(file);
+            }
+        });
+
+        const normalMapToggle = document.getElementById('normalMapToggle');
+        if (normalMapToggle) {
+            normalMapToggle.addEventListener('change', (e) => {
+                this.enableNormalMap = e.target.checked;
+            });
+        }
+
+        const normalMapType = document.getElementById('normalMapType');
+        if (normalMapType) {
+            normalMapType.addEventListener('change', (e) => {
+                this.normalMapType = e.target.value;
+            });
+        }
+
+        const bumpStrength = document.getElementById('bumpStrength');
+        if (bumpStrength) {
+            bumpStrength.addEventListener('input', (e) => {
+                this.bumpStrength = parseFloat(e.target.value);
+                document.getElementById('bumpStrengthValue').textContent = e.target.value;
+            });
+        }
+
+        document.getElementById('objFile').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.loadModelFiles(Array.from(e.target.files));
             }
         });
         
@@ -207,7 +297,7 @@ class Lighting3DViewer {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', (e) => {
-                    this.lightPosition[id.replace('light', '').toLowerCase()] = parseFloat(e.target.value);
+                    this.lights[this.selectedLight].position[id.replace('light', '').toLowerCase()] = parseFloat(e.target.value);
                     const valueElement = document.getElementById(id + 'Value');
                     if (valueElement) {
                         valueElement.textContent = e.target.value;
@@ -215,12 +305,17 @@ class Lighting3DViewer {
                 });
             }
         });
+
+        this.setupLightControls();
+        this.setupCameraControls();
+        this.setupMaterialControls();
+        this.setupTimelineControls();
         
         ['rotateX', 'rotateY', 'rotateZ'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', (e) => {
-                    this.rotation[id.replace('rotate', '').toLowerCase()] = parseFloat(e.target.value) * Math.PI / 180;
+                    this.selectedObject.rotation[id.replace('rotate', '').toLowerCase()] = parseFloat(e.target.value) * Math.PI / 180;
                     const valueElement = document.getElementById(id + 'Value');
                     if (valueElement) {
                         valueElement.textContent = e.target.value + '°';
@@ -232,7 +327,7 @@ class Lighting3DViewer {
         const scaleElement = document.getElementById('scale');
         if (scaleElement) {
             scaleElement.addEventListener('input', (e) => {
-                this.scale = parseFloat(e.target.value);
+                this.selectedObject.scale = parseFloat(e.target.value);
                 const valueElement = document.getElementById('scaleValue');
                 if (valueElement) {
                     valueElement.textContent = e.target.value;
@@ -244,17 +339,11 @@ class Lighting3DViewer {
             const element = document.getElementById(id);
             if (element) {
                 element.addEventListener('input', (e) => {
-                    this.translation[id.replace('translate', '').toLowerCase()] = parseFloat(e.target.value);
+                    this.selectedObject.translation[id.replace('translate', '').toLowerCase()] = parseFloat(e.target.value);
                     const valueElement = document.getElementById(id + 'Value');
                     if (valueElement) {
                         valueElement.textContent = e.target.value;
                     }
-                    
-                    const model = this.models[this.currentModel];
-                    const faceCountElement = document.getElementById('faceCount');
-                    const vertexCountElement = document.getElementById('vertexCount');
-                    if (faceCountElement) faceCountElement.textContent = model.faces.length;
-                    if (vertexCountElement) vertexCountElement.textContent = model.vertices.length;
                 });
             }
         });
@@ -274,269 +363,912 @@ class Lighting3DViewer {
                 toonBandsValue.textContent = e.target.value;
             });
         }
-    }
-    
-    rotatePoint(point, rx, ry, rz) {
-        let x = point.x, y = point.y, z = point.z;
-        if (rx !== 0) {
-            const cosX = Math.cos(rx), sinX = Math.sin(rx);
-            [y, z] = [y * cosX - z * sinX, y * sinX + z * cosX];
+
+        const interpolationMode = document.getElementById('interpolationMode');
+        if (interpolationMode) {
+            interpolationMode.addEventListener('change', (e) => {
+                this.interpolationMode = e.target.value;
+            });
         }
-        if (ry !== 0) {
-            const cosY = Math.cos(ry), sinY = Math.sin(ry);
-            [x, z] = [x * cosY + z * sinY, -x * sinY + z * cosY];
+
+        const textureFilter = document.getElementById('textureFilter');
+        if (textureFilter) {
+            textureFilter.addEventListener('change', (e) => {
+                this.textureFilter = e.target.value;
+            });
         }
-        if (rz !== 0) {
-            const cosZ = Math.cos(rz), sinZ = Math.sin(rz);
-            [x, y] = [x * cosZ - y * sinZ, x * sinZ + y * cosZ];
+
+        const textureWrap = document.getElementById('textureWrap');
+        if (textureWrap) {
+            textureWrap.addEventListener('change', (e) => {
+                this.selectedObject.wrapMode = e.target.value;
+            });
         }
-        return new Point3D(x, y, z);
-    }
-    
-    calculatePhong(normal, viewDirection) {
-        const normNormal = normal.normalize();
-        const lightDir = this.lightPosition.normalize();
-        const viewDir = viewDirection.normalize();
-        
-        let diffuse = Math.max(normNormal.dot(lightDir), 0);
-        let specular = 0;
-        
-        if (this.enableToonShading && this.toonBands > 1) {
-            const bands = this.toonBands;
-            diffuse = Math.floor(diffuse * (bands - 1)) / (bands - 1);
+
+        const groundToggle = document.getElementById('groundToggle');
+        if (groundToggle) {
+            groundToggle.addEventListener('change', (e) => {
+                this.showGround = e.target.checked;
+            });
         }
 
-        if (diffuse > 0) {
-            const reflectDir = normNormal.multiply(2 * normNormal.dot(lightDir)).subtract(lightDir).normalize();
-            
-            const specAngle = Math.max(reflectDir.dot(viewDir), 0);
-            
-            specular = this.specularIntensity * Math.pow(specAngle, this.shininess);
+        const shadowToggle = document.getElementById('shadowToggle');
+        if (shadowToggle) {
+            shadowToggle.addEventListener('change', (e) => {
+                this.shadow.enabled = e.target.checked;
+            });
+        }
 
-            if (this.enableToonShading) {
-                specular = (specular > 0.5) ? this.specularIntensity : 0;
+        const shadowResolution = document.getElementById('shadowResolution');
+        if (shadowResolution) {
+            shadowResolution.addEventListener('change', (e) => {
+                this.shadow.resolution = parseInt(e.target.value);
+            });
+        }
+
+        [['shadowBias', 'bias'], ['shadowPcf', 'pcfRadius']].forEach(([id, property]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', (e) => {
+                    this.shadow[property] = parseFloat(e.target.value);
+                    document.getElementById(id + 'Value').textContent = e.target.value;
+                });
             }
+        });
+
+        const outlineToggle = document.getElementById('outlineToggle');
+        if (outlineToggle) {
+            outlineToggle.addEventListener('change', (e) => {
+                this.outline.enabled = e.target.checked;
+            });
         }
-        
-        return {
-            ambient: this.ambient,
-            diffuse: diffuse,
-            specular: specular
+
+        const outlineColor = document.getElementById('outlineColor');
+        if (outlineColor) {
+            outlineColor.addEventListener('input', (e) => {
+                this.outline.color = hexToColor(e.target.value);
+            });
+        }
+
+        [['outlineThickness', 'thickness'], ['outlineCrease', 'creaseAngle']].forEach(([id, property]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', (e) => {
+                    this.outline[property] = parseInt(e.target.value);
+                    document.getElementById(id + 'Value').textContent = e.target.value;
+                });
+            }
+        });
+
+        const savePng = document.getElementById('savePng');
+        if (savePng) {
+            savePng.addEventListener('click', () => this.savePNG(this.canvas, 'render.png'));
+            document.getElementById('saveHiRes').addEventListener('click', () => {
+                const scale = parseInt(document.getElementById('exportScale').value);
+                this.savePNG(this.renderOffscreen(this.canvas.width * scale, this.canvas.height * scale), `render-${scale}x.png`);
+            });
+            document.getElementById('exportTurntable').addEventListener('click', () => {
+                this.exportTurntable(parseInt(document.getElementById('turntableFrames').value));
+            });
+        }
+
+        const depthViewToggle = document.getElementById('depthViewToggle');
+        if (depthViewToggle) {
+            depthViewToggle.addEventListener('change', (e) => {
+                this.showDepthBuffer = e.target.checked;
+            });
+        }
+
+        const debugView = document.getElementById('debugView');
+        if (debugView) {
+            debugView.addEventListener('change', (e) => {
+                this.debug.view = e.target.value;
+            });
+        }
+
+        [
+            ['wireframeToggle', 'wireframe'],
+            ['vertexNormalsToggle', 'vertexNormals'],
+            ['faceNormalsToggle', 'faceNormals'],
+            ['lightGizmoToggle', 'lightGizmo'],
+            ['axesToggle', 'axes'],
+            ['gridToggle', 'grid']
+        ].forEach(([id, property]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('change', (e) => {
+                    this.debug[property] = e.target.checked;
+                });
+            }
+        });
+    }
+
+    setupMaterialControls() {
+        const presetSelect = document.getElementById('materialPreset');
+        if (!presetSelect) return;
+
+        presetSelect.addEventListener('change', (e) => {
+            if (e.target.value === 'custom') return;
+            this.selectedObject.material = Material.fromPreset(e.target.value);
+            this.syncMaterialControls();
+            presetSelect.value = e.target.value;
+        });
+
+        document.getElementById('lightingModel').addEventListener('change', (e) => {
+            this.lightingModel = e.target.value;
+            this.syncMaterialControls();
+        });
+
+        [['materialColor', 'color'], ['materialSpecularColor', 'specularColor']].forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.selectedObject.material[property] = hexToColor(e.target.value);
+                presetSelect.value = 'custom';
+            });
+        });
+
+        [
+            ['materialAmbient', 'ambient'],
+            ['materialSpecular', 'specularIntensity'],
+            ['materialShininess', 'shininess'],
+            ['materialMetallic', 'metallic'],
+            ['materialRoughness', 'roughness']
+        ].forEach(([id, property]) => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                this.selectedObject.material[property] = parseFloat(e.target.value);
+                document.getElementById(id + 'Value').textContent = e.target.value;
+                presetSelect.value = 'custom';
+            });
+        });
+
+        this.syncMaterialControls();
+    }
+
+    syncMaterialControls() {
+        const presetSelect = document.getElementById('materialPreset');
+        if (!presetSelect) return;
+
+        const material = this.selectedObject.material;
+        presetSelect.value = 'custom';
+        document.getElementById('lightingModel').value = this.lightingModel;
+        document.getElementById('materialColor').value = colorToHex(material.color);
+        document.getElementById('materialSpecularColor').value = colorToHex(material.specularColor);
+
+        const values = {
+            materialAmbient: material.ambient,
+            materialSpecular: material.specularIntensity,
+            materialShininess: material.shininess,
+            materialMetallic: material.metallic,
+            materialRoughness: material.roughness
         };
+        Object.keys(values).forEach(id => {
+            document.getElementById(id).value = values[id];
+            document.getElementById(id + 'Value').textContent = Math.round(values[id] * 100) / 100;
+        });
+
+        const physical = this.lightingModel === 'cook-torrance';
+        document.getElementById('phongMaterialControls').style.display = physical ? 'none' : '';
+        document.getElementById('pbrMaterialControls').style.display = physical ? '' : 'none';
     }
-    
-    getTextureColor(u, v) {
-        if (this.textureImage) {
-            const x = Math.round(u * (this.textureCanvas.width - 1));
-            const y = Math.round(v * (this.textureCanvas.height - 1));
-            
-            const imageData = this.textureCtx.getImageData(x, y, 1, 1);
-            const data = imageData.data;
-            
-            return {
-                r: data[0] / 255,
-                g: data[1] / 255,
-                b: data[2] / 255
-            };
-        }
-        
-        const size = 8;
-        const tileU = Math.floor(u * size);
-        const tileV = Math.floor(v * size);
-        return (tileU % 2 === tileV % 2) ? 
-            { r: 1, g: 1, b: 1 } : { r: 0.3, g: 0.3, b: 0.3 };
-    }
-    
-    drawTriangle(v1, v2, v3, screenV1, screenV2, screenV3, texCoord1, texCoord2, texCoord3) {
-        const minX = Math.max(0, Math.floor(Math.min(screenV1.x, screenV2.x, screenV3.x)));
-        const maxX = Math.min(this.canvas.width - 1, Math.ceil(Math.max(screenV1.x, screenV2.x, screenV3.x)));
-        const minY = Math.max(0, Math.floor(Math.min(screenV1.y, screenV2.y, screenV3.y)));
-        const maxY = Math.min(this.canvas.height - 1, Math.ceil(Math.max(screenV1.y, screenV2.y, screenV3.y)));
-        
-        const cameraPos = new Point3D(0, 0, this.cameraDistance);
-        
-        for (let y = minY; y <= maxY; y++) {
-            for (let x = minX; x <= maxX; x++) {
-                const denom = (screenV2.y - screenV3.y) * (screenV1.x - screenV3.x) + 
-                             (screenV3.x - screenV2.x) * (screenV1.y - screenV3.y);
-                if (Math.abs(denom) < 0.0001) continue;
-                
-                const lambda1 = ((screenV2.y - screenV3.y) * (x - screenV3.x) + 
-                                 (screenV3.x - screenV2.x) * (y - screenV3.y)) / denom;
-                const lambda2 = ((screenV3.y - screenV1.y) * (x - screenV3.x) + 
-                                 (screenV1.x - screenV3.x) * (y - screenV3.y)) / denom;
-                const lambda3 = 1 - lambda1 - lambda2;
-                
-                if (lambda1 >= -0.001 && lambda2 >= -0.001 && lambda3 >= -0.001) {
-                    let color;
-                    
-                    if (this.shadingMode === 'gouraud') {
-                        const r = lambda1 * v1.color.r + lambda2 * v2.color.r + lambda3 * v3.color.r;
-                        const g = lambda1 * v1.color.g + lambda2 * v2.color.g + lambda3 * v3.color.g;
-                        const b = lambda1 * v1.color.b + lambda2 * v2.color.b + lambda3 * v3.color.b;
-                        color = { r, g, b };
-                    } else {
-                        const interpolatedNormal = new Point3D(
-                            lambda1 * v1.normal.x + lambda2 * v2.normal.x + lambda3 * v3.normal.x,
-                            lambda1 * v1.normal.y + lambda2 * v2.normal.y + lambda3 * v3.normal.y,
-                            lambda1 * v1.normal.z + lambda2 * v2.normal.z + lambda3 * v3.normal.z
-                        ).normalize();
-                        
-                        const position = new Point3D(
-                            lambda1 * v1.position.x + lambda2 * v2.position.x + lambda3 * v3.position.x,
-                            lambda1 * v1.position.y + lambda2 * v2.position.y + lambda3 * v3.position.y,
-                            lambda1 * v1.position.z + lambda2 * v2.position.z + lambda3 * v3.position.z
-                        );
-                        
-                        const viewDir = cameraPos.subtract(position);
-                        const phong = this.calculatePhong(interpolatedNormal, viewDir);
-                        
-                        color = {
-                            r: phong.ambient * this.objectColor.r + 
-                                phong.diffuse * this.objectColor.r + 
-                                phong.specular * this.specularColor.r,
-                            g: phong.ambient * this.objectColor.g + 
-                                phong.diffuse * this.objectColor.g + 
-                                phong.specular * this.specularColor.g,
-                            b: phong.ambient * this.objectColor.b + 
-                                phong.diffuse * this.objectColor.b + 
-                                phong.specular * this.specularColor.b
-                        };
-                    }
-                    
-                    if (this.enableTexturing) {
-                        const u = lambda1 * texCoord1.u + lambda2 * texCoord2.u + lambda3 * texCoord3.u;
-                        const v = lambda1 * texCoord1.v + lambda2 * texCoord2.v + lambda3 * texCoord3.v;
-                        const texColor = this.getTextureColor(u, v);
-                        
-                        color.r *= texColor.r; 
-                        color.g *= texColor.g; 
-                        color.b *= texColor.b;
-                    }
-                    
-                    color.r = Math.min(Math.max(color.r, 0), 1);
-                    color.g = Math.min(Math.max(color.g, 0), 1);
-                    color.b = Math.min(Math.max(color.b, 0), 1);
-                    
-                    this.ctx.fillStyle = `rgb(${Math.floor(color.r * 255)},${Math.floor(color.g * 255)},${Math.floor(color.b * 255)})`;
-                    this.ctx.fillRect(x, y, 1, 1);
+
+    setupCameraControls() {
+        const pointers = new Map();
+        let pinchDistance = 0;
+        let click = null;
+
+        const pinchSpan = () => {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+
+        this.canvas.addEventListener('pointerdown', (e) => {
+            this.canvas.setPointerCapture(e.pointerId);
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            click = pointers.size === 1 ? { x: e.clientX, y: e.clientY } : null;
+            if (pointers.size === 2) pinchDistance = pinchSpan();
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            const previous = pointers.get(e.pointerId);
+            if (!previous) return;
+            const current = { x: e.clientX, y: e.clientY };
+            pointers.set(e.pointerId, current);
+            if (click && Math.hypot(current.x - click.x, current.y - click.y) > 4) {
+                click = null;
+            }
+
+            if (pointers.size === 1) {
+                this.camera.orbit(-(current.x - previous.x) * 0.01, (current.y - previous.y) * 0.01);
+            } else if (pointers.size === 2) {
+                const span = pinchSpan();
+                if (pinchDistance > 0 && span > 0) {
+                    this.camera.zoom(pinchDistance / span);
                 }
+                pinchDistance = span;
+            }
+        });
+
+        const releasePointer = (e) => {
+            if (click && e.type === 'pointerup' && pointers.size === 1) {
+                const rect = this.canvas.getBoundingClientRect();
+                const node = this.pickObject(
+                    (e.clientX - rect.left) * this.canvas.width / rect.width,
+                    (e.clientY - rect.top) * this.canvas.height / rect.height
+                );
+                if (node) this.selectObject(node);
+            }
+            click = null;
+            pointers.delete(e.pointerId);
+            pinchDistance = pointers.size === 2 ? pinchSpan() : 0;
+        };
+        this.canvas.addEventListener('pointerup', releasePointer);
+        this.canvas.addEventListener('pointercancel', releasePointer);
+
+        this.canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.camera.zoom(Math.exp(e.deltaY * 0.001));
+        }, { passive: false });
+
+        [['cameraFov', 'fov'], ['cameraNear', 'near'], ['cameraFar', 'far']].forEach(([id, property]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.addEventListener('input', (e) => {
+                    this.camera[property] = parseFloat(e.target.value);
+                    document.getElementById(id + 'Value').textContent = e.target.value;
+                });
             }
+        });
+
+        const resetCamera = document.getElementById('resetCamera');
+        if (resetCamera) {
+            resetCamera.addEventListener('click', () => {
+                const { fov, near, far } = this.camera;
+                this.camera = new Camera();
+                Object.assign(this.camera, { fov, near, far });
+            });
         }
     }
-    
-    render() {
-        this.ctx.fillStyle = '#1a1a2e';
-        this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        
-        const model = this.models[this.currentModel];
-        
-        const faceCountElement = document.getElementById('faceCount');
-        const vertexCountElement = document.getElementById('vertexCount');
-        if (faceCountElement) faceCountElement.textContent = model.faces.length;
-        if (vertexCountElement) vertexCountElement.textContent = model.vertices.length;
-        
-        const transformedVertices = model.vertices.map((vertex) => {
-            const scaled = vertex.position.multiply(this.scale);
-            const rotated = this.rotatePoint(scaled, this.rotation.x, this.rotation.y, this.rotation.z);
-            const translated = new Point3D(
-                rotated.x + this.translation.x,
-                rotated.y + this.translation.y,
-                rotated.z + this.translation.z
-            );
-            
-            const rotatedNormal = this.rotatePoint(vertex.normal, this.rotation.x, this.rotation.y, this.rotation.z);
-            
-            return {
-                position: translated,
-                normal: rotatedNormal
-            };
+
+    setupLightControls() {
+        const lightSelect = document.getElementById('lightSelect');
+        if (!lightSelect) return;
+
+        lightSelect.addEventListener('change', (e) => {
+            this.selectedLight = parseInt(e.target.value);
+            this.syncLightControls();
         });
-        
-        const screenVertices = transformedVertices.map(vertex => {
-            const cameraZ = this.cameraDistance;
-            const objectZ = vertex.position.z;
-            const zDistance = cameraZ - objectZ; 
-            
-            const factor = this.perspective / (this.perspective + zDistance);
-            const scaleFactor = 120; 
-            
-            return {
-                x: vertex.position.x * factor * scaleFactor + this.canvas.width / 2,
-                y: -vertex.position.y * factor * scaleFactor + this.canvas.height / 2,
-                z: zDistance
-            };
+
+        document.getElementById('addLight').addEventListener('click', () => {
+            const light = new Light('point', new Point3D(-2, 2, 2));
+            light.color = { r: 0.6, g: 0.7, b: 1.0 };
+            this.lights.push(light);
+            this.selectedLight = this.lights.length - 1;
+            this.syncLightControls();
         });
-        
-        const vertexColors = this.shadingMode === 'gouraud' ? 
-            transformedVertices.map((vertex) => {
-                const normNormal = vertex.normal.normalize();
-                const lightDir = this.lightPosition.normalize();
-                
-                let diffuse = Math.max(normNormal.dot(lightDir), 0);
-                
-                return {
-                    r: this.ambient * this.objectColor.r + diffuse * this.objectColor.r,
-                    g: this.ambient * this.objectColor.g + diffuse * this.objectColor.g,
-                    b: this.ambient * this.objectColor.b + diffuse * this.objectColor.b
-                };
-            }) : null;
-        
-        const sortedFaces = model.faces.map(face => {
-            const zAvg = face.vertexIndices.reduce((sum, idx) => sum + screenVertices[idx].z, 0) / face.vertexIndices.length;
-            return { face, zAvg };
-        }).sort((a, b) => b.zAvg - a.zAvg);
-
-        sortedFaces.forEach(item => {
-            const face = item.face;
-            
-            if (face.vertexIndices.length >= 3) {
-                const pos1 = transformedVertices[face.vertexIndices[0]].position;
-                const pos2 = transformedVertices[face.vertexIndices[1]].position;
-                const pos3 = transformedVertices[face.vertexIndices[2]].position;
-                
-                const edge1 = pos2.subtract(pos1);
-                const edge2 = pos3.subtract(pos1);
-                const normal = edge1.cross(edge2);
-                
-                const cameraPos = new Point3D(0, 0, this.cameraDistance);
-                const toCamera = cameraPos.subtract(pos1);
-                
-                if (normal.dot(toCamera) > 0) {
-                    if (face.vertexIndices.length === 3) {
-                        this._renderTriangle(face.vertexIndices[0], face.vertexIndices[1], face.vertexIndices[2], face.texCoords[0], face.texCoords[1], face.texCoords[2], transformedVertices, screenVertices, vertexColors);
-                    } else if (face.vertexIndices.length === 4) {
-                        this._renderTriangle(face.vertexIndices[0], face.vertexIndices[1], face.vertexIndices[2], face.texCoords[0], face.texCoords[1], face.texCoords[2], transformedVertices, screenVertices, vertexColors);
-                        this._renderTriangle(face.vertexIndices[0], face.vertexIndices[2], face.vertexIndices[3], face.texCoords[0], face.texCoords[2], face.texCoords[3], transformedVertices, screenVertices, vertexColors);
-                    }
+
+        document.getElementById('removeLight').addEventListener('click', () => {
+            if (this.lights.length <= 1) return;
+            this.timeline.removeTarget(this.lights[this.selectedLight]);
+            this.lights.splice(this.selectedLight, 1);
+            this.selectedLight = Math.min(this.selectedLight, this.lights.length - 1);
+            this.syncLightControls();
+        });
+
+        document.getElementById('lightType').addEventListener('change', (e) => {
+            this.lights[this.selectedLight].type = e.target.value;
+            this.syncLightControls();
+        });
+
+        document.getElementById('lightColor').addEventListener('input', (e) => {
+            this.lights[this.selectedLight].color = hexToColor(e.target.value);
+        });
+
+        ['lightIntensity', 'lightConstant', 'lightLinear', 'lightQuadratic', 'lightSpotAngle'].forEach(id => {
+            document.getElementById(id).addEventListener('input', (e) => {
+                const property = id.charAt(5).toLowerCase() + id.slice(6);
+                this.lights[this.selectedLight][property] = parseFloat(e.target.value);
+                document.getElementById(id + 'Value').textContent = e.target.value;
+            });
+        });
+
+        this.syncLightControls();
+    }
+
+    syncLightControls() {
+        const lightSelect = document.getElementById('lightSelect');
+        lightSelect.innerHTML = '';
+        this.lights.forEach((light, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `Light ${index + 1} (${light.type})`;
+            lightSelect.add(option);
+        });
+        lightSelect.value = this.selectedLight;
+
+        const light = this.lights[this.selectedLight];
+        const values = {
+            lightX: light.position.x,
+            lightY: light.position.y,
+            lightZ: light.position.z,
+            lightIntensity: light.intensity,
+            lightConstant: light.constant,
+            lightLinear: light.linear,
+            lightQuadratic: light.quadratic,
+            lightSpotAngle: light.spotAngle
+        };
+        Object.keys(values).forEach(id => {
+            document.getElementById(id).value = values[id];
+            document.getElementById(id + 'Value').textContent = Math.round(values[id] * 100) / 100;
+        });
+        document.getElementById('lightType').value = light.type;
+        document.getElementById('lightColor').value = colorToHex(light.color);
+        document.getElementById('removeLight').disabled = this.lights.length <= 1;
+        document.getElementById('attenuationControls').style.display = light.type === 'directional' ? 'none' : '';
+        document.getElementById('spotControls').style.display = light.type === 'spot' ? '' : 'none';
+    }
+
+    setupTimelineControls() {
+        const playButton = document.getElementById('timelinePlay');
+        if (!playButton) return;
+        const timeline = this.timeline;
+
+        playButton.addEventListener('click', () => {
+            if (!timeline.playing && !timeline.loop && timeline.time >= timeline.duration) {
+                timeline.time = 0;
+            }
+            timeline.playing = !timeline.playing;
+            this.syncAnimatedControls();
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('timelineTime').addEventListener('input', (e) => {
+            timeline.playing = false;
+            timeline.seek(parseFloat(e.target.value));
+            this.syncAnimatedControls();
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('timelineDuration').addEventListener('input', (e) => {
+            timeline.duration = parseFloat(e.target.value);
+            timeline.time = Math.min(timeline.time, timeline.duration);
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('timelineLoop').addEventListener('change', (e) => {
+            timeline.loop = e.target.checked;
+        });
+
+        document.getElementById('addKeyframe').addEventListener('click', () => {
+            const easing = document.getElementById('keyframeEasing').value;
+            timeline.recordKeyframe(this.selectedObject, NODE_TRACKS, timeline.time, easing);
+            timeline.recordKeyframe(this.lights[this.selectedLight], LIGHT_TRACKS, timeline.time, easing);
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('deleteKeyframe').addEventListener('click', () => {
+            timeline.removeKeyframesAt(timeline.time);
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('clearKeyframes').addEventListener('click', () => {
+            timeline.clear();
+            this.syncTimelineControls();
+        });
+
+        document.getElementById('applyPreset').addEventListener('click', () => {
+            timeline.addPreset(document.getElementById('timelinePreset').value, this.selectedObject, this.lights[this.selectedLight]);
+            timeline.playing = true;
+            this.syncTimelineControls();
+        });
+
+        this.syncTimelineControls();
+    }
+
+    syncTimelineControls() {
+        const playButton = document.getElementById('timelinePlay');
+        if (!playButton) return;
+
+        const timeline = this.timeline;
+        playButton.textContent = timeline.playing ? 'Pause' : 'Play';
+
+        const timeInput = document.getElementById('timelineTime');
+        timeInput.max = timeline.duration;
+        timeInput.value = timeline.time;
+        document.getElementById('timelineTimeValue').textContent = timeline.time.toFixed(2) + 's';
+        document.getElementById('timelineDuration').value = timeline.duration;
+        document.getElementById('timelineDurationValue').textContent = timeline.duration + 's';
+        document.getElementById('timelineLoop').checked = timeline.loop;
+
+        const times = timeline.getKeyframeTimes();
+        const status = document.getElementById('timelineStatus');
+        if (times.length === 0) {
+            status.textContent = 'No keyframes';
+        } else {
+            const listed = times.slice(0, 8).map(time => time.toFixed(2) + 's').join(', ');
+            status.textContent = `${times.length} keyframes: ${listed}${times.length > 8 ? ', ...' : ''}`;
+        }
+    }
+
+    syncAnimatedControls() {
+        this.syncTransformControls();
+        this.syncLightControls();
+        this.syncMaterialControls();
+    }
+
+    updateTimeline(now) {
+        const elapsed = Math.min((now - this.timelineClock) / 1000, 0.1);
+        this.timelineClock = now;
+        if (!this.timeline.playing) return;
+
+        this.timeline.advance(elapsed);
+        this.syncTransformControls();
+        if (!this.timeline.playing) {
+            this.syncAnimatedControls();
+        }
+        this.syncTimelineControls();
+    }
+
+    setFileStatus(message, isError = false, statusId = 'fileStatus') {
+        const statusElement = document.getElementById(statusId);
+        if (statusElement) {
+            statusElement.textContent = message;
+            statusElement.style.color = isError ? '#ff6b6b' : '#8aff80';
+        }
+    }
+
+    readImageFile(file, onLoad) {
+        const reader = new FileReader();
+        reader.onload = (event) => this.decodeImage(event.target.result, file.name, onLoad);
+        reader.readAsDataURL(file);
+    }
+
+    decodeImage(source, name, onLoad) {
+        const image = new Image();
+        image.onload = () => onLoad(image);
+        image.onerror = () => {
+            this.setFileStatus('Could not decode image ' + name, true);
+        };
+        image.src = source;
+    }
+
+    decodeTexture(source, name, onLoad) {
+        this.decodeImage(source, name, (image) => onLoad(textureFromImage(image)));
+        return true;
+    }
+
+    loadTextureFile(file) {
+        this.readImageFile(file, (image) => {
+            const node = this.selectedObject;
+            node.texture = textureFromImage(image);
+            node.textured = true;
+            this.setFileStatus('Texture loaded: ' + 
+                image.width + 'x' + image.height + ' on ' + node.name);
+            const textureToggle = document.getElementById('textureToggle');
+            if (textureToggle) textureToggle.checked = true;
+        });
+    }
+
+    loadNormalMapFile(file) {
+        this.readImageFile(file, (image) => {
+            this.normalMap = textureFromImage(image);
+            this.enableNormalMap = true;
+            const toggle = document.getElementById('normalMapToggle');
+            if (toggle) toggle.checked = true;
+            this.setFileStatus((this.normalMapType === 'height' ? 'Height map' : 'Normal map') + ' loaded: ' +
+                image.width + 'x' + image.height);
+        });
+    }
+
+    loadModelFiles(files) {
+        const objFile = files.find(file => /\.obj$/i.test(file.name));
+        if (!objFile) {
+            this.setFileStatus('No .obj file selected', true);
+            return;
+        }
+        const mtlFile = files.find(file => /\.mtl$/i.test(file.name));
+
+        Promise.all([objFile.text(), mtlFile ? mtlFile.text() : null]).then(([objText, mtlText]) => {
+            let result, materials = null;
+            try {
+                result = OBJLoader.parseOBJ(objText);
+                if (mtlText !== null) {
+                    materials = OBJLoader.parseMTL(mtlText);
+                }
+            } catch (error) {
+                this.setFileStatus(error.message, true);
+                return;
+            }
+
+            const key = 'obj:' + objFile.name;
+            this.models[key] = result.model;
+            this.selectedObject.modelKey = key;
+
+            this.addModelOption(key, objFile.name);
+            this.syncSceneControls();
+
+            let status = `Model loaded: ${result.model.faces.length} faces`;
+            if (materials) {
+                const material = materials[result.materialName] || Object.values(materials)[0];
+                if (material) {
+                    status += ', material ' + material.name;
+                    const warning = this.applyMaterial(material, files);
+                    if (warning) status += ` (${warning})`;
                 }
+            } else if (result.materialLibrary) {
+                status += ` (${result.materialLibrary} not selected)`;
             }
+            this.setFileStatus(status);
+        }, (error) => {
+            this.setFileStatus('Could not read ' + objFile.name + ': ' + error.message, true);
         });
-        
-        requestAnimationFrame(() => this.render());
     }
 
-    _renderTriangle(i1, i2, i3, tc1, tc2, tc3, transformedVertices, screenVertices, vertexColors) {
-        const v1 = {
-            ...transformedVertices[i1],
-            color: this.shadingMode === 'gouraud' ? vertexColors[i1] : null
+    addModelOption(key, label) {
+        const modelSelect = document.getElementById('modelSelect');
+        if (!Array.from(modelSelect.options).some(option => option.value === key)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = label;
+            modelSelect.add(option);
+        }
+    }
+
+    serializeScene(includeAssets = true) {
+        const vector = p => [p.x, p.y, p.z];
+        const degrees = r => [r.x, r.y, r.z].map(angle => angle * 180 / Math.PI);
+        const scene = {
+            format: SCENE_FORMAT_NAME,
+            version: SCENE_FORMAT_VERSION,
+            render: {
+                shadingMode: this.shadingMode,
+                lightingModel: this.lightingModel,
+                interpolationMode: this.interpolationMode,
+                textureFilter: this.textureFilter,
+                subdivisionLevel: this.subdivisionLevel,
+                showDepthBuffer: this.showDepthBuffer,
+                antialiasing: this.antialiasing,
+                fxaa: this.enableFXAA,
+                backfaceCulling: this.backfaceCulling
+            },
+            toon: {
+                enabled: this.enableToonShading,
+                bands: this.toonBands,
+                outline: {
+                    enabled: this.outline.enabled,
+                    thickness: this.outline.thickness,
+                    color: colorToHex(this.outline.color),
+                    creaseAngle: this.outline.creaseAngle
+                }
+            },
+            lights: this.lights.map(light => ({
+                type: light.type,
+                position: vector(light.position),
+                target: vector(light.target),
+                color: colorToHex(light.color),
+                intensity: light.intensity,
+                constant: light.constant,
+                linear: light.linear,
+                quadratic: light.quadratic,
+                spotAngle: light.spotAngle
+            })),
+            camera: {
+                target: vector(this.camera.target),
+                distance: this.camera.distance,
+                yaw: this.camera.yaw,
+                pitch: this.camera.pitch,
+                fov: this.camera.fov,
+                near: this.camera.near,
+                far: this.camera.far
+            },
+            ground: { enabled: this.showGround },
+            shadow: {
+                enabled: this.shadow.enabled,
+                resolution: this.shadow.resolution,
+                bias: this.shadow.bias,
+                pcfRadius: this.shadow.pcfRadius
+            },
+            normalMap: {
+                enabled: this.enableNormalMap,
+                type: this.normalMapType,
+                strength: this.bumpStrength
+            },
+            meshParams: this.meshParams,
+            meshes: {},
+            objects: this.objects.map(node => {
+                const material = node.material;
+                const object = {
+                    name: node.name,
+                    model: node.modelKey,
+                    parent: this.objects.indexOf(node.parent),
+                    translation: vector(node.translation),
+                    rotation: degrees(node.rotation),
+                    scale: node.scale,
+                    material: {
+                        color: colorToHex(material.color),
+                        ambient: material.ambient,
+                        specularColor: colorToHex(material.specularColor),
+                        specularIntensity: material.specularIntensity,
+                        shininess: material.shininess,
+                        metallic: material.metallic,
+                        roughness: material.roughness
+                    },
+                    textured: node.textured,
+                    wrapMode: node.wrapMode
+                };
+                if (includeAssets) {
+                    object.texture = node.texture ? textureToDataURL(node.texture) : null;
+                }
+                return object;
+            }),
+            selectedObject: this.objects.indexOf(this.selectedObject)
         };
-        const v2 = {
-            ...transformedVertices[i2],
-            color: this.shadingMode === 'gouraud' ? vertexColors[i2] : null
+
+        if (includeAssets) {
+            scene.normalMap.image = this.normalMap ? textureToDataURL(this.normalMap) : null;
+            this.objects.forEach(node => {
+                if (node.modelKey.startsWith('obj:')) {
+                    scene.meshes[node.modelKey] = SceneFormat.meshToJSON(this.models[node.modelKey]);
+                }
+            });
+        }
+        return scene;
+    }
+
+    applyScene(scene) {
+        const result = super.applyScene(scene);
+        Object.keys(scene.meshes || {}).forEach(key => this.addModelOption(key, key.replace(/^obj:/, '')));
+        this.selectedLight = 0;
+
+        this.syncSceneControls();
+        this.syncLightControls();
+        this.syncViewerControls();
+        this.syncTimelineControls();
+        return result;
+    }
+
+    syncViewerControls() {
+        const values = {
+            shadingMode: this.shadingMode,
+            antialiasing: this.antialiasing,
+            fxaaToggle: this.enableFXAA,
+            cullToggle: this.backfaceCulling,
+            subdivisionLevel: this.subdivisionLevel,
+            toonToggle: this.enableToonShading,
+            toonBands: this.toonBands,
+            outlineToggle: this.outline.enabled,
+            outlineColor: colorToHex(this.outline.color),
+            outlineThickness: this.outline.thickness,
+            outlineCrease: this.outline.creaseAngle,
+            groundToggle: this.showGround,
+            shadowToggle: this.shadow.enabled,
+            shadowResolution: this.shadow.resolution,
+            shadowBias: this.shadow.bias,
+            shadowPcf: this.shadow.pcfRadius,
+            interpolationMode: this.interpolationMode,
+            normalMapToggle: this.enableNormalMap,
+            normalMapType: this.normalMapType,
+            bumpStrength: this.bumpStrength,
+            textureFilter: this.textureFilter,
+            cameraFov: this.camera.fov,
+            cameraNear: this.camera.near,
+            cameraFar: this.camera.far,
+            depthViewToggle: this.showDepthBuffer
         };
-        const v3 = {
-            ...transformedVertices[i3],
-            color: this.shadingMode === 'gouraud' ? vertexColors[i3] : null
+        Object.keys(values).forEach(id => {
+            const element = document.getElementById(id);
+            if (!element) return;
+            if (element.type === 'checkbox') {
+                element.checked = values[id];
+            } else {
+                element.value = values[id];
+            }
+            const valueElement = document.getElementById(id + 'Value');
+            if (valueElement) valueElement.textContent = values[id];
+        });
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    savePNG(canvas, filename) {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                this.setFileStatus('Could not encode ' + filename, true, 'exportStatus');
+                return;
+            }
+            this.downloadBlob(blob, filename);
+            this.setFileStatus(`Saved ${filename} (${canvas.width}x${canvas.height})`, false, 'exportStatus');
+        }, 'image/png');
+    }
+
+    exportTurntable(frameCount) {
+        if (this.turntableActive) return;
+        this.turntableActive = true;
+        this.timeline.playing = false;
+        this.syncTimelineControls();
+
+        const node = this.selectedObject;
+        const startAngle = node.rotation.y;
+        const { width, height } = this.canvas;
+        const encoder = new GIFEncoder(width, height);
+        const delay = Math.max(2, Math.round(400 / frameCount));
+
+        const captureFrame = (index) => {
+            if (index === frameCount) {
+                node.rotation.y = startAngle;
+                this.turntableActive = false;
+                this.downloadBlob(encoder.finish(), 'turntable.gif');
+                this.setFileStatus(`Saved turntable.gif (${frameCount} frames)`, false, 'exportStatus');
+                return;
+            }
+
+            node.rotation.y = startAngle + index / frameCount * Math.PI * 2;
+            const canvas = this.renderOffscreen(width, height);
+            encoder.addFrame(canvas.getContext('2d').getImageData(0, 0, width, height).data, delay);
+            this.setFileStatus(`Rendering turntable frame ${index + 1}/${frameCount}`, false, 'exportStatus');
+            setTimeout(() => captureFrame(index + 1), 0);
         };
-        
-        this.drawTriangle(
-            v1, v2, v3,
-            screenVertices[i1],
-            screenVertices[i2],
-            screenVertices[i3],
-            tc1, tc2, tc3
-        );
+        captureFrame(0);
+    }
+
+    downloadScene() {
+        const json = JSON.stringify(this.serializeScene(true), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'scene.json');
+        this.setFileStatus('Scene saved as scene.json', false, 'sceneStatus');
+    }
+
+    loadSceneFile(file) {
+        file.text().then((text) => {
+            let result;
+            try {
+                result = this.applyScene(SceneFormat.parse(text));
+            } catch (error) {
+                this.setFileStatus(error.message, true, 'sceneStatus');
+                return;
+            }
+            this.reportSceneLoaded('Scene loaded: ' + file.name, result);
+        }, (error) => {
+            this.setFileStatus('Could not read ' + file.name + ': ' + error.message, true, 'sceneStatus');
+        });
+    }
+
+    loadUrlHash() {
+        const hash = location.hash;
+        if (!hash.startsWith('#scene=') || hash === this.hashState.value) return;
+        try {
+            const result = this.applyScene(SceneFormat.decodeHash(hash.slice('#scene='.length)));
+            this.hashState.value = hash;
+            this.reportSceneLoaded('Scene restored from link', result);
+        } catch (error) {
+            this.setFileStatus(error.message, true, 'sceneStatus');
+        }
+    }
+
+    reportSceneLoaded(message, { missingModels }) {
+        if (missingModels.length > 0) {
+            this.setFileStatus(`${message}; models not loaded, shown as ${FALLBACK_MODEL}: ${missingModels.join(', ')}`, true, 'sceneStatus');
+        } else {
+            this.setFileStatus(message, false, 'sceneStatus');
+        }
+    }
+
+    updateUrlHash() {
+        const now = performance.now();
+        if (now - this.hashState.lastUpdate < 500) return;
+        this.hashState.lastUpdate = now;
+
+        const hash = '#scene=' + SceneFormat.encodeHash(this.serializeScene(false));
+        if (hash !== this.hashState.value) {
+            this.hashState.value = hash;
+            history.replaceState(null, '', hash);
+        }
+    }
+
+    applyMaterial(material, files) {
+        const target = this.selectedObject.material;
+        if (material.diffuseColor) target.color = material.diffuseColor;
+        if (material.specularColor) {
+            target.specularColor = material.specularColor;
+            target.specularIntensity = 1.0;
+        }
+        if (material.shininess !== undefined) target.shininess = Math.max(material.shininess, 1);
+        this.syncMaterialControls();
+        if (material.diffuseMap) {
+            const mapName = material.diffuseMap.split(/[\\/]/).pop().toLowerCase();
+            const textureFile = files.find(file => file.name.toLowerCase() === mapName);
+            if (textureFile) {
+                this.loadTextureFile(textureFile);
+            } else {
+                return `texture ${material.diffuseMap} not selected`;
+            }
+        }
+        return null;
+    }
+
+    render() {
+        requestAnimationFrame(() => this.render());
+
+        const frameStart = performance.now();
+        this.updateTimeline(frameStart);
+        this.renderScene();
+        this.updateFrameStats(frameStart);
+        this.updateUrlHash();
+    }
+
+    renderScene() {
+        const { passes, selectionBounds } = this.renderFrame();
+        const { width, height, data } = this.frameBuffer;
+        this.ctx.putImageData(new ImageData(data, width, height), 0, 0);
+
+        const passWidth = this.canvas.width / passes.length;
+        this.ctx.font = '12px Arial';
+        passes.forEach((shading, index) => {
+            if (index > 0) {
+                this.ctx.fillStyle = '#e94560';
+                this.ctx.fillRect(Math.round(index * passWidth), 0, 1, this.canvas.height);
+            }
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(this.getShadingLabel(shading), index * passWidth + 10, this.canvas.height - 10);
+        });
+
+        this.ctx.strokeStyle = '#e94560';
+        selectionBounds.forEach(bounds => {
+            if (bounds) {
+                this.ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            }
+        });
+
+        if (this.interpolationMode === 'split') {
+            this.ctx.fillStyle = '#e94560';
+            this.ctx.fillRect(this.canvas.width / 2, 0, 1, this.canvas.height);
+            this.ctx.fillText('Affine', 10, 20);
+            this.ctx.fillText('Perspective-correct', this.canvas.width / 2 + 10, 20);
+        }
+    }
+
+    renderOffscreen(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const frameBuffer = this.renderToBuffer(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(frameBuffer.data, width, height), 0, 0);
+        return canvas;
+    }
+
+    getShadingLabel(shading) {
+        const label = SHADING_MODE_NAMES[shading] + ' shading · ' + LIGHTING_MODEL_NAMES[this.lightingModel] + ' lighting';
+        return this.debug.view === 'shaded' ? label : label + ' · ' + DEBUG_VIEW_NAMES[this.debug.view] + ' view';
+    }
+
+    updateFrameStats(frameStart) {
+        const now = performance.now();
+        const stats = this.frameStats;
+        stats.frameTime = stats.frameTime * 0.9 + (now - frameStart) * 0.1;
+        if (stats.lastFrame > 0) {
+            stats.fps = stats.fps * 0.9 + (1000 / Math.max(now - stats.lastFrame, 1)) * 0.1;
+        }
+        stats.lastFrame = now;
+
+        const fpsElement = document.getElementById('fpsCount');
+        const frameTimeElement = document.getElementById('frameTime');
+        if (fpsElement) fpsElement.textContent = stats.fps.toFixed(1);
+        if (frameTimeElement) frameTimeElement.textContent = stats.frameTime.toFixed(1);
+
+        const faceCountElement = document.getElementById('faceCount');
+        const vertexCountElement = document.getElementById('vertexCount');
+        if (faceCountElement) faceCountElement.textContent = this.meshStats.faces;
+        if (vertexCountElement) vertexCountElement.textContent = this.meshStats.vertices;
+
+        const clippedElement = document.getElementById('clippedCount');
+        const culledElement = document.getElementById('culledCount');
+        if (clippedElement) clippedElement.textContent = this.clipStats.clipped;
+        if (culledElement) culledElement.textContent = this.clipStats.culled;
     }
 }
 
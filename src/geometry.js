@@ -0,0 +1,485 @@
+import { Point3D } from './math.js';
+
+export class Vertex {
+    constructor(position) {
+        this.position = position;
+        this.normal = new Point3D(0, 0, 0);
+    }
+}
+
+export class Face {
+    constructor(vertexIndices, texCoords) {
+        this.vertexIndices = vertexIndices;
+        this.texCoords = texCoords;
+        this.tangent = new Point3D(1, 0, 0);
+        this.bitangent = new Point3D(0, 1, 0);
+    }
+}
+
+export const PROCEDURAL_MESHES = {
+    sphere: {
+        radius: { label: 'Radius', min: 0.5, max: 2, step: 0.1, value: 1.3 },
+        segments: { label: 'Segments', min: 3, max: 64, step: 1, value: 32 },
+        rings: { label: 'Rings', min: 2, max: 32, step: 1, value: 16 }
+    },
+    torus: {
+        majorRadius: { label: 'Major Radius', min: 0.5, max: 2, step: 0.1, value: 1.1 },
+        minorRadius: { label: 'Minor Radius', min: 0.1, max: 1, step: 0.05, value: 0.45 },
+        segments: { label: 'Segments', min: 3, max: 64, step: 1, value: 32 },
+        sides: { label: 'Sides', min: 3, max: 32, step: 1, value: 16 }
+    },
+    cylinder: {
+        radius: { label: 'Radius', min: 0.2, max: 2, step: 0.1, value: 1 },
+        height: { label: 'Height', min: 0.2, max: 3, step: 0.1, value: 2 },
+        segments: { label: 'Segments', min: 3, max: 64, step: 1, value: 32 }
+    },
+    cone: {
+        radius: { label: 'Radius', min: 0.2, max: 2, step: 0.1, value: 1 },
+        height: { label: 'Height', min: 0.2, max: 3, step: 0.1, value: 2 },
+        segments: { label: 'Segments', min: 3, max: 64, step: 1, value: 32 }
+    },
+    plane: {
+        size: { label: 'Size', min: 0.5, max: 4, step: 0.1, value: 2.5 },
+        subdivisions: { label: 'Subdivisions', min: 1, max: 32, step: 1, value: 8 }
+    }
+};
+
+export const MAX_SUBDIVISION_FACES = 20000;
+
+export class Model3D {
+    constructor(vertices, faces, hasNormals = false) {
+        this.vertices = vertices;
+        this.faces = faces.map(f => new Face(f.indices, f.texCoords || []));
+        if (!hasNormals) {
+            this.calculateNormals();
+        }
+        this.calculateTangents();
+    }
+    
+    calculateNormals() {
+        this.vertices.forEach(v => v.normal = new Point3D(0, 0, 0));
+        this.faces.forEach(face => {
+            if (face.vertexIndices.length < 3) return;
+
+            const v0 = this.vertices[face.vertexIndices[0]].position;
+            const v1 = this.vertices[face.vertexIndices[1]].position;
+            const v2 = this.vertices[face.vertexIndices[2]].position;
+            
+            const normal = v1.subtract(v0).cross(v2.subtract(v0)).normalize();
+            
+            face.vertexIndices.forEach(idx => {
+                this.vertices[idx].normal = this.vertices[idx].normal.add(normal);
+            });
+        });
+        
+        this.vertices.forEach(v => v.normal = v.normal.normalize());
+    }
+
+    calculateTangents() {
+        this.faces.forEach(face => {
+            if (face.vertexIndices.length < 3) return;
+
+            const p0 = this.vertices[face.vertexIndices[0]].position;
+            const p1 = this.vertices[face.vertexIndices[1]].position;
+            const p2 = this.vertices[face.vertexIndices[2]].position;
+            const edge1 = p1.subtract(p0);
+            const edge2 = p2.subtract(p0);
+            const faceNormal = edge1.cross(edge2).normalize();
+
+            const [t0, t1, t2] = face.texCoords;
+            const det = t0 && t1 && t2 ?
+                (t1.u - t0.u) * (t2.v - t0.v) - (t2.u - t0.u) * (t1.v - t0.v) : 0;
+
+            if (Math.abs(det) < 1e-8) {
+                face.tangent = edge1.normalize();
+                face.bitangent = faceNormal.cross(face.tangent).normalize();
+                return;
+            }
+
+            const du1 = t1.u - t0.u, dv1 = t1.v - t0.v;
+            const du2 = t2.u - t0.u, dv2 = t2.v - t0.v;
+            face.tangent = edge1.multiply(dv2).subtract(edge2.multiply(dv1)).multiply(1 / det).normalize();
+            face.bitangent = edge2.multiply(du1).subtract(edge1.multiply(du2)).multiply(1 / det).normalize();
+        });
+    }
+}
+
+export class MeshGenerator {
+    static grid(columns, rows, point) {
+        const vertices = [];
+        const uvs = [];
+        for (let row = 0; row <= rows; row++) {
+            for (let column = 0; column <= columns; column++) {
+                const u = column / columns, v = row / rows;
+                const { position, normal } = point(u, v);
+                const vertex = new Vertex(position);
+                vertex.normal = normal.normalize();
+                vertices.push(vertex);
+                uvs.push({ u, v });
+            }
+        }
+
+        const faces = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const a = row * (columns + 1) + column;
+                const b = a + columns + 1;
+                const corners = [a, b, b + 1, a + 1].filter((index, i, quad) => {
+                    const next = quad[(i + 1) % quad.length];
+                    return vertices[index].position.subtract(vertices[next].position).length() > 1e-9;
+                });
+                if (corners.length >= 3) {
+                    faces.push({ indices: corners, texCoords: corners.map(index => uvs[index]) });
+                }
+            }
+        }
+        return { vertices, faces };
+    }
+
+    static addDisk(mesh, radius, height, segments, facingUp) {
+        const normal = new Point3D(0, facingUp ? 1 : -1, 0);
+        const center = mesh.vertices.length;
+        const uvs = [{ u: 0.5, v: 0.5 }];
+        mesh.vertices.push(new Vertex(new Point3D(0, height, 0)));
+        for (let i = 0; i < segments; i++) {
+            const angle = i / segments * Math.PI * 2;
+            mesh.vertices.push(new Vertex(new Point3D(Math.cos(angle) * radius, height, -Math.sin(angle) * radius)));
+            uvs.push({ u: 0.5 + Math.cos(angle) * 0.5, v: 0.5 + (facingUp ? -0.5 : 0.5) * Math.sin(angle) });
+        }
+        for (let i = center; i < mesh.vertices.length; i++) {
+            mesh.vertices[i].normal = normal;
+        }
+
+        for (let i = 0; i < segments; i++) {
+            const j = (i + 1) % segments;
+            const indices = facingUp ? [0, i + 1, j + 1] : [0, j + 1, i + 1];
+            mesh.faces.push({
+                indices: indices.map(index => center + index),
+                texCoords: indices.map(index => uvs[index])
+            });
+        }
+        return mesh;
+    }
+
+    static sphere({ radius, segments, rings }) {
+        const mesh = MeshGenerator.grid(segments, rings, (u, v) => {
+            const phi = u * Math.PI * 2, theta = v * Math.PI;
+            const normal = new Point3D(Math.sin(theta) * Math.cos(phi), Math.cos(theta), -Math.sin(theta) * Math.sin(phi));
+            return { position: normal.multiply(radius), normal };
+        });
+        return new Model3D(mesh.vertices, mesh.faces, true);
+    }
+
+    static torus({ majorRadius, minorRadius, segments, sides }) {
+        const mesh = MeshGenerator.grid(segments, sides, (u, v) => {
+            const phi = u * Math.PI * 2, beta = -v * Math.PI * 2;
+            const normal = new Point3D(Math.cos(beta) * Math.cos(phi), Math.sin(beta), -Math.cos(beta) * Math.sin(phi));
+            const ring = new Point3D(Math.cos(phi), 0, -Math.sin(phi)).multiply(majorRadius);
+            return { position: ring.add(normal.multiply(minorRadius)), normal };
+        });
+        return new Model3D(mesh.vertices, mesh.faces, true);
+    }
+
+    static cylinder({ radius, height, segments }) {
+        const mesh = MeshGenerator.grid(segments, 1, (u, v) => {
+            const phi = u * Math.PI * 2;
+            const normal = new Point3D(Math.cos(phi), 0, -Math.sin(phi));
+            return { position: new Point3D(normal.x * radius, height / 2 - v * height, normal.z * radius), normal };
+        });
+        MeshGenerator.addDisk(mesh, radius, height / 2, segments, true);
+        MeshGenerator.addDisk(mesh, radius, -height / 2, segments, false);
+        return new Model3D(mesh.vertices, mesh.faces, true);
+    }
+
+    static cone({ radius, height, segments }) {
+        const mesh = MeshGenerator.grid(segments, 1, (u, v) => {
+            const phi = u * Math.PI * 2;
+            const x = Math.cos(phi), z = -Math.sin(phi);
+            return {
+                position: new Point3D(x * radius * v, height / 2 - v * height, z * radius * v),
+                normal: new Point3D(x * height, radius, z * height)
+            };
+        });
+        MeshGenerator.addDisk(mesh, radius, -height / 2, segments, false);
+        return new Model3D(mesh.vertices, mesh.faces, true);
+    }
+
+    static plane({ size, subdivisions }) {
+        const mesh = MeshGenerator.grid(subdivisions, subdivisions, (u, v) => ({
+            position: new Point3D((u - 0.5) * size, 0, (v - 0.5) * size),
+            normal: new Point3D(0, 1, 0)
+        }));
+        return new Model3D(mesh.vertices, mesh.faces, true);
+    }
+}
+
+export class Subdivision {
+    static catmullClark(model) {
+        const welded = new Map();
+        const remap = [];
+        const points = [];
+        model.vertices.forEach((vertex, index) => {
+            const p = vertex.position;
+            const key = [p.x, p.y, p.z].map(c => Math.round(c * 1e6)).join(',');
+            if (!welded.has(key)) {
+                welded.set(key, points.length);
+                points.push(p);
+            }
+            remap[index] = welded.get(key);
+        });
+
+        const faces = model.faces.filter(face => face.vertexIndices.length >= 3).map(face => ({
+            indices: face.vertexIndices.map(index => remap[index]),
+            texCoords: face.vertexIndices.map((_, i) => face.texCoords[i] || { u: 0, v: 0 })
+        }));
+        const facePoints = faces.map(face => face.indices
+            .reduce((sum, index) => sum.add(points[index]), new Point3D(0, 0, 0))
+            .multiply(1 / face.indices.length));
+
+        const edgeKey = (a, b) => a < b ? a + '_' + b : b + '_' + a;
+        const edges = new Map();
+        const vertexFaces = points.map(() => []);
+        const vertexEdges = points.map(() => []);
+        faces.forEach((face, faceIndex) => {
+            face.indices.forEach((a, i) => {
+                const b = face.indices[(i + 1) % face.indices.length];
+                const key = edgeKey(a, b);
+                if (!edges.has(key)) {
+                    const edge = { a, b, faces: [], index: -1 };
+                    edges.set(key, edge);
+                    vertexEdges[a].push(edge);
+                    vertexEdges[b].push(edge);
+                }
+                edges.get(key).faces.push(faceIndex);
+                vertexFaces[a].push(faceIndex);
+            });
+        });
+
+        const average = (list) => list.reduce((sum, p) => sum.add(p), new Point3D(0, 0, 0)).multiply(1 / list.length);
+        const vertices = points.map((p, index) => {
+            const boundary = vertexEdges[index].filter(edge => edge.faces.length !== 2);
+            if (boundary.length === 2) {
+                const neighbours = boundary.map(edge => points[edge.a === index ? edge.b : edge.a]);
+                return new Vertex(p.multiply(0.75).add(neighbours[0].add(neighbours[1]).multiply(0.125)));
+            }
+            if (boundary.length > 0 || vertexFaces[index].length === 0) {
+                return new Vertex(p);
+            }
+
+            const n = vertexEdges[index].length;
+            const faceAverage = average(vertexFaces[index].map(faceIndex => facePoints[faceIndex]));
+            const edgeAverage = average(vertexEdges[index].map(edge => points[edge.a].add(points[edge.b]).multiply(0.5)));
+            return new Vertex(faceAverage.add(edgeAverage.multiply(2)).add(p.multiply(n - 3)).multiply(1 / n));
+        });
+
+        edges.forEach(edge => {
+            edge.index = vertices.length;
+            const ends = points[edge.a].add(points[edge.b]);
+            vertices.push(new Vertex(edge.faces.length === 2 ?
+                ends.add(facePoints[edge.faces[0]]).add(facePoints[edge.faces[1]]).multiply(0.25) :
+                ends.multiply(0.5)));
+        });
+        const faceStart = vertices.length;
+        facePoints.forEach(p => vertices.push(new Vertex(p)));
+
+        const midUV = (a, b) => ({ u: (a.u + b.u) / 2, v: (a.v + b.v) / 2 });
+        const subdividedFaces = [];
+        faces.forEach((face, faceIndex) => {
+            const n = face.indices.length;
+            const uv = face.texCoords;
+            const centerUV = {
+                u: uv.reduce((sum, t) => sum + t.u, 0) / n,
+                v: uv.reduce((sum, t) => sum + t.v, 0) / n
+            };
+            face.indices.forEach((index, i) => {
+                const next = (i + 1) % n, prev = (i + n - 1) % n;
+                subdividedFaces.push({
+                    indices: [
+                        index,
+                        edges.get(edgeKey(index, face.indices[next])).index,
+                        faceStart + faceIndex,
+                        edges.get(edgeKey(face.indices[prev], index)).index
+                    ],
+                    texCoords: [uv[i], midUV(uv[i], uv[next]), centerUV, midUV(uv[prev], uv[i])]
+                });
+            });
+        });
+
+        return new Model3D(vertices, subdividedFaces);
+    }
+}
+
+export class OBJLoader {
+    static parseOBJ(text) {
+        const positions = [];
+        const texCoords = [];
+        const normals = [];
+        const faceRefs = [];
+        let materialLibrary = null;
+        let materialName = null;
+
+        text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+            const line = rawLine.replace(/#.*/, '').trim();
+            if (!line) return;
+
+            const lineNumber = lineIndex + 1;
+            const parts = line.split(/\s+/);
+            switch (parts[0]) {
+                case 'v': {
+                    const [x, y, z] = OBJLoader.parseNumbers(parts, 3, lineNumber);
+                    positions.push(new Point3D(x, y, z));
+                    break;
+                }
+                case 'vt': {
+                    const [u, v = 0] = OBJLoader.parseNumbers(parts, 1, lineNumber);
+                    texCoords.push({ u: u, v: 1 - v });
+                    break;
+                }
+                case 'vn': {
+                    const [x, y, z] = OBJLoader.parseNumbers(parts, 3, lineNumber);
+                    normals.push(new Point3D(x, y, z).normalize());
+                    break;
+                }
+                case 'f': {
+                    if (parts.length < 4) {
+                        throw new Error(`OBJ line ${lineNumber}: face needs at least 3 vertices, got ${parts.length - 1}`);
+                    }
+                    faceRefs.push(parts.slice(1).map(ref => {
+                        const fields = ref.split('/');
+                        const [v, vt, vn] = fields;
+                        if (fields.length > 3 || !v) {
+                            throw new Error(`OBJ line ${lineNumber}: malformed face vertex "${ref}"`);
+                        }
+                        return {
+                            position: OBJLoader.resolveIndex(v, positions.length, 'vertex', lineNumber),
+                            texCoord: vt ? OBJLoader.resolveIndex(vt, texCoords.length, 'texture coordinate', lineNumber) : -1,
+                            normal: vn ? OBJLoader.resolveIndex(vn, normals.length, 'normal', lineNumber) : -1
+                        };
+                    }));
+                    break;
+                }
+                case 'mtllib':
+                    materialLibrary = parts.slice(1).join(' ');
+                    break;
+                case 'usemtl':
+                    if (materialName === null) materialName = parts.slice(1).join(' ');
+                    break;
+            }
+        });
+
+        if (faceRefs.length === 0) {
+            throw new Error('OBJ file contains no faces');
+        }
+
+        const hasNormals = faceRefs.every(refs => refs.every(ref => ref.normal >= 0));
+        const fitted = OBJLoader.fitToView(positions);
+        const vertices = [];
+        const vertexLookup = new Map();
+
+        const faces = faceRefs.map(refs => ({
+            indices: refs.map(ref => {
+                const key = hasNormals ? ref.position + '/' + ref.normal : String(ref.position);
+                if (!vertexLookup.has(key)) {
+                    const vertex = new Vertex(fitted[ref.position]);
+                    if (hasNormals) vertex.normal = normals[ref.normal];
+                    vertexLookup.set(key, vertices.length);
+                    vertices.push(vertex);
+                }
+                return vertexLookup.get(key);
+            }),
+            texCoords: refs.map(ref => ref.texCoord >= 0 ? texCoords[ref.texCoord] : { u: 0, v: 0 })
+        }));
+
+        return {
+            model: new Model3D(vertices, faces, hasNormals),
+            materialLibrary: materialLibrary,
+            materialName: materialName
+        };
+    }
+
+    static parseMTL(text) {
+        const materials = {};
+        let current = null;
+
+        text.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+            const line = rawLine.replace(/#.*/, '').trim();
+            if (!line) return;
+
+            const lineNumber = lineIndex + 1;
+            const parts = line.split(/\s+/);
+            if (parts[0] === 'newmtl') {
+                if (parts.length < 2) {
+                    throw new Error(`MTL line ${lineNumber}: newmtl needs a material name`);
+                }
+                current = { name: parts.slice(1).join(' ') };
+                materials[current.name] = current;
+                return;
+            }
+            if (!['Kd', 'Ks', 'Ns', 'map_Kd'].includes(parts[0])) return;
+            if (!current) {
+                throw new Error(`MTL line ${lineNumber}: ${parts[0]} appears before any newmtl`);
+            }
+
+            switch (parts[0]) {
+                case 'Kd': {
+                    const [r, g, b] = OBJLoader.parseNumbers(parts, 3, lineNumber, 'MTL');
+                    current.diffuseColor = { r, g, b };
+                    break;
+                }
+                case 'Ks': {
+                    const [r, g, b] = OBJLoader.parseNumbers(parts, 3, lineNumber, 'MTL');
+                    current.specularColor = { r, g, b };
+                    break;
+                }
+                case 'Ns':
+                    current.shininess = OBJLoader.parseNumbers(parts, 1, lineNumber, 'MTL')[0];
+                    break;
+                case 'map_Kd':
+                    if (parts.length < 2) {
+                        throw new Error(`MTL line ${lineNumber}: map_Kd needs a file name`);
+                    }
+                    current.diffuseMap = parts[parts.length - 1];
+                    break;
+            }
+        });
+
+        return materials;
+    }
+
+    static parseNumbers(parts, count, lineNumber, format = 'OBJ') {
+        const values = parts.slice(1).map(Number);
+        if (values.length < count) {
+            throw new Error(`${format} line ${lineNumber}: "${parts[0]}" needs ${count} numbers, got ${values.length}`);
+        }
+        const invalid = parts.slice(1).find((part, i) => !isFinite(values[i]));
+        if (invalid !== undefined) {
+            throw new Error(`${format} line ${lineNumber}: "${invalid}" is not a number`);
+        }
+        return values;
+    }
+
+    static resolveIndex(token, count, kind, lineNumber) {
+        const index = parseInt(token, 10);
+        if (!/^-?\d+$/.test(token) || index === 0) {
+            throw new Error(`OBJ line ${lineNumber}: invalid ${kind} index "${token}"`);
+        }
+        const resolved = index > 0 ? index - 1 : count + index;
+        if (resolved < 0 || resolved >= count) {
+            throw new Error(`OBJ line ${lineNumber}: ${kind} index ${index} is out of range (${count} defined)`);
+        }
+        return resolved;
+    }
+
+    static fitToView(positions, targetSize = 2) {
+        if (positions.length === 0) return positions;
+        const min = new Point3D(Infinity, Infinity, Infinity);
+        const max = new Point3D(-Infinity, -Infinity, -Infinity);
+        positions.forEach(p => {
+            min.x = Math.min(min.x, p.x); min.y = Math.min(min.y, p.y); min.z = Math.min(min.z, p.z);
+            max.x = Math.max(max.x, p.x); max.y = Math.max(max.y, p.y); max.z = Math.max(max.z, p.z);
+        });
+        const center = min.add(max).multiply(0.5);
+        const extent = Math.max(max.x - min.x, max.y - min.y, max.z - min.z) || 1;
+        return positions.map(p => p.subtract(center).multiply(targetSize / extent));
+    }
+}
@@ -0,0 +1,167 @@
+export class GIFEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.parts = [];
+        this.write([
+            ...GIFEncoder.ascii('GIF89a'),
+            ...GIFEncoder.short(width), ...GIFEncoder.short(height), 0x70, 0, 0,
+            0x21, 0xff, 0x0b, ...GIFEncoder.ascii('NETSCAPE2.0'), 0x03, 0x01, 0, 0, 0
+        ]);
+    }
+
+    static ascii(text) {
+        return Array.from(text, c => c.charCodeAt(0));
+    }
+
+    static short(value) {
+        return [value & 255, (value >> 8) & 255];
+    }
+
+    write(bytes) {
+        this.parts.push(bytes instanceof Uint8Array ? bytes : Uint8Array.from(bytes));
+    }
+
+    addFrame(rgba, delay) {
+        const { palette, indices } = GIFEncoder.quantize(rgba, this.width * this.height);
+        this.write([
+            0x21, 0xf9, 0x04, 0x04, ...GIFEncoder.short(delay), 0, 0,
+            0x2c, 0, 0, 0, 0, ...GIFEncoder.short(this.width), ...GIFEncoder.short(this.height), 0x87
+        ]);
+        this.write(palette);
+
+        const data = GIFEncoder.lzw(indices, 8);
+        const blocks = new Uint8Array(data.length + Math.ceil(data.length / 255) + 2);
+        let position = 0;
+        blocks[position++] = 8;
+        for (let i = 0; i < data.length; i += 255) {
+            const chunk = data.subarray(i, i + 255);
+            blocks[position++] = chunk.length;
+            blocks.set(chunk, position);
+            position += chunk.length;
+        }
+        blocks[position++] = 0;
+        this.write(blocks.subarray(0, position));
+    }
+
+    finish() {
+        this.write([0x3b]);
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+
+    static quantize(rgba, pixelCount) {
+        const histogram = new Uint32Array(32768);
+        const keys = new Uint16Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            const key = ((rgba[i * 4] >> 3) << 10) | ((rgba[i * 4 + 1] >> 3) << 5) | (rgba[i * 4 + 2] >> 3);
+            keys[i] = key;
+            histogram[key]++;
+        }
+
+        const channel = (key, shift) => (key >> shift) & 31;
+        const colors = [];
+        histogram.forEach((count, key) => {
+            if (count > 0) colors.push(key);
+        });
+
+        const boxes = [colors];
+        while (boxes.length < 256) {
+            let widest = -1, widestRange = 0, widestShift = 0;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                [10, 5, 0].forEach(shift => {
+                    let min = 31, max = 0;
+                    box.forEach(key => {
+                        const value = channel(key, shift);
+                        if (value < min) min = value;
+                        if (value > max) max = value;
+                    });
+                    if (max - min > widestRange) {
+                        widest = index;
+                        widestRange = max - min;
+                        widestShift = shift;
+                    }
+                });
+            });
+            if (widest < 0) break;
+
+            const box = boxes[widest].sort((a, b) => channel(a, widestShift) - channel(b, widestShift));
+            const total = box.reduce((sum, key) => sum + histogram[key], 0);
+            let split = 1, running = histogram[box[0]];
+            while (split < box.length - 1 && running + histogram[box[split]] <= total / 2) {
+                running += histogram[box[split++]];
+            }
+            boxes.splice(widest, 1, box.slice(0, split), box.slice(split));
+        }
+
+        const palette = new Uint8Array(768);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0, total = 0;
+            box.forEach(key => {
+                const count = histogram[key];
+                r += ((channel(key, 10) << 3) | 4) * count;
+                g += ((channel(key, 5) << 3) | 4) * count;
+                b += ((channel(key, 0) << 3) | 4) * count;
+                total += count;
+                lookup[key] = index;
+            });
+            palette[index * 3] = Math.round(r / total);
+            palette[index * 3 + 1] = Math.round(g / total);
+            palette[index * 3 + 2] = Math.round(b / total);
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = lookup[keys[i]];
+        }
+        return { palette, indices };
+    }
+
+    static lzw(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const endCode = clearCode + 1;
+        const output = new Uint8Array(Math.ceil(12 * (indices.length * 1.01 + 4) / 8) + 16);
+        let position = 0, bitBuffer = 0, bitCount = 0;
+        const emit = (code, size) => {
+            bitBuffer |= code << bitCount;
+            bitCount += size;
+            while (bitCount >= 8) {
+                output[position++] = bitBuffer & 255;
+                bitBuffer >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        let dictionary = new Map();
+        let nextCode = endCode + 1;
+        let codeSize = minCodeSize + 1;
+        emit(clearCode, codeSize);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const key = (prefix << 8) | indices[i];
+            const code = dictionary.get(key);
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix, codeSize);
+            if (nextCode < 4096) {
+                dictionary.set(key, nextCode++);
+                if (nextCode > (1 << codeSize) && codeSize < 12) codeSize++;
+            } else {
+                emit(clearCode, codeSize);
+                dictionary = new Map();
+                nextCode = endCode + 1;
+                codeSize = minCodeSize + 1;
+            }
+            prefix = indices[i];
+        }
+        emit(prefix, codeSize);
+        emit(endCode, codeSize);
+        if (bitCount > 0) output[position++] = bitBuffer & 255;
+        return output.subarray(0, position);
+    }
+}
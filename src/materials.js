@@ -0,0 +1,201 @@
+import { Point3D } from './math.js';
+
+export class Light {
+    constructor(type = 'point', position = new Point3D(2, 2, 2)) {
+        this.type = type;
+        this.position = position;
+        this.target = new Point3D(0, 0, 0);
+        this.color = { r: 1.0, g: 1.0, b: 1.0 };
+        this.intensity = 1.0;
+        this.constant = 1.0;
+        this.linear = 0.0;
+        this.quadratic = 0.0;
+        this.spotAngle = 30;
+    }
+}
+
+export class Material {
+    constructor(properties = {}) {
+        this.color = { r: 0.8, g: 0.6, b: 0.4 };
+        this.ambient = 0.1;
+        this.specularColor = { r: 1.0, g: 1.0, b: 1.0 };
+        this.specularIntensity = 0.8;
+        this.shininess = 32;
+        this.metallic = 0.0;
+        this.roughness = 0.5;
+        Object.assign(this, properties);
+    }
+
+    static fromPreset(name) {
+        return new Material(MATERIAL_PRESETS[name]);
+    }
+}
+
+export const MATERIAL_PRESETS = {
+    plastic: {
+        color: { r: 0.8, g: 0.1, b: 0.1 }, ambient: 0.1,
+        specularColor: { r: 1.0, g: 1.0, b: 1.0 }, specularIntensity: 0.6, shininess: 32,
+        metallic: 0.0, roughness: 0.4
+    },
+    metal: {
+        color: { r: 0.75, g: 0.75, b: 0.78 }, ambient: 0.05,
+        specularColor: { r: 0.9, g: 0.9, b: 0.95 }, specularIntensity: 1.0, shininess: 128,
+        metallic: 1.0, roughness: 0.25
+    },
+    rubber: {
+        color: { r: 0.15, g: 0.15, b: 0.15 }, ambient: 0.05,
+        specularColor: { r: 0.4, g: 0.4, b: 0.4 }, specularIntensity: 0.1, shininess: 8,
+        metallic: 0.0, roughness: 0.9
+    },
+    gold: {
+        color: { r: 1.0, g: 0.77, b: 0.34 }, ambient: 0.05,
+        specularColor: { r: 1.0, g: 0.85, b: 0.5 }, specularIntensity: 1.0, shininess: 96,
+        metallic: 1.0, roughness: 0.3
+    }
+};
+
+export const LIGHTING_MODEL_NAMES = {
+    'phong': 'Phong',
+    'blinn-phong': 'Blinn-Phong',
+    'cook-torrance': 'Cook-Torrance'
+};
+
+export function hexToColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return {
+        r: ((value >> 16) & 255) / 255,
+        g: ((value >> 8) & 255) / 255,
+        b: (value & 255) / 255
+    };
+}
+
+export function colorToHex(color) {
+    return '#' + [color.r, color.g, color.b]
+        .map(c => Math.round(Math.min(Math.max(c, 0), 1) * 255).toString(16).padStart(2, '0'))
+        .join('');
+}
+
+export class Texture {
+    constructor(width, height, data) {
+        this.levels = [{ width, height, data }];
+        this.buildMipmaps();
+    }
+
+    static checkerboard(tiles = 8, tileSize = 32) {
+        const size = tiles * tileSize;
+        const data = new Uint8ClampedArray(size * size * 4);
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const light = Math.floor(x / tileSize) % 2 === Math.floor(y / tileSize) % 2;
+                const value = light ? 255 : 77;
+                const index = (y * size + x) * 4;
+                data[index] = value;
+                data[index + 1] = value;
+                data[index + 2] = value;
+                data[index + 3] = 255;
+            }
+        }
+        return new Texture(size, size, data);
+    }
+
+    buildMipmaps() {
+        let level = this.levels[0];
+        while (level.width > 1 || level.height > 1) {
+            const width = Math.max(1, level.width >> 1);
+            const height = Math.max(1, level.height >> 1);
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                const y0 = Math.min(y * 2, level.height - 1);
+                const y1 = Math.min(y * 2 + 1, level.height - 1);
+                for (let x = 0; x < width; x++) {
+                    const x0 = Math.min(x * 2, level.width - 1);
+                    const x1 = Math.min(x * 2 + 1, level.width - 1);
+                    for (let c = 0; c < 4; c++) {
+                        data[(y * width + x) * 4 + c] = (
+                            level.data[(y0 * level.width + x0) * 4 + c] +
+                            level.data[(y0 * level.width + x1) * 4 + c] +
+                            level.data[(y1 * level.width + x0) * 4 + c] +
+                            level.data[(y1 * level.width + x1) * 4 + c]) / 4;
+                    }
+                }
+            }
+            level = { width, height, data };
+            this.levels.push(level);
+        }
+    }
+
+    wrap(coord, size, wrapMode) {
+        switch (wrapMode) {
+            case 'clamp':
+                return Math.min(Math.max(coord, 0), size - 1);
+            case 'mirror': {
+                const period = size * 2;
+                const t = ((coord % period) + period) % period;
+                return t < size ? t : period - 1 - t;
+            }
+            default:
+                return ((coord % size) + size) % size;
+        }
+    }
+
+    texel(level, x, y, wrapMode) {
+        return (this.wrap(y, level.height, wrapMode) * level.width + this.wrap(x, level.width, wrapMode)) * 4;
+    }
+
+    sampleNearest(u, v, level, wrapMode) {
+        const index = this.texel(level, Math.floor(u * level.width), Math.floor(v * level.height), wrapMode);
+        return {
+            r: level.data[index] / 255,
+            g: level.data[index + 1] / 255,
+            b: level.data[index + 2] / 255
+        };
+    }
+
+    sampleBilinear(u, v, level, wrapMode) {
+        const x = u * level.width - 0.5;
+        const y = v * level.height - 0.5;
+        const x0 = Math.floor(x), y0 = Math.floor(y);
+        const fx = x - x0, fy = y - y0;
+
+        const i00 = this.texel(level, x0, y0, wrapMode);
+        const i10 = this.texel(level, x0 + 1, y0, wrapMode);
+        const i01 = this.texel(level, x0, y0 + 1, wrapMode);
+        const i11 = this.texel(level, x0 + 1, y0 + 1, wrapMode);
+        const data = level.data;
+        const mix = (c) => (
+            (data[i00 + c] * (1 - fx) + data[i10 + c] * fx) * (1 - fy) +
+            (data[i01 + c] * (1 - fx) + data[i11 + c] * fx) * fy) / 255;
+
+        return { r: mix(0), g: mix(1), b: mix(2) };
+    }
+
+    computeLod(dudx, dvdx, dudy, dvdy) {
+        const { width, height } = this.levels[0];
+        const rho = Math.max(
+            Math.hypot(dudx * width, dvdx * height),
+            Math.hypot(dudy * width, dvdy * height));
+        return Math.log2(Math.max(rho, 1e-8));
+    }
+
+    sample(u, v, filter, lod = 0, wrapMode = 'repeat') {
+        if (filter === 'nearest') {
+            return this.sampleNearest(u, v, this.levels[0], wrapMode);
+        }
+        if (filter !== 'trilinear' || lod <= 0) {
+            return this.sampleBilinear(u, v, this.levels[0], wrapMode);
+        }
+
+        const maxLevel = this.levels.length - 1;
+        const clampedLod = Math.min(lod, maxLevel);
+        const lower = Math.floor(clampedLod);
+        const upper = Math.min(lower + 1, maxLevel);
+        const t = clampedLod - lower;
+        const a = this.sampleBilinear(u, v, this.levels[lower], wrapMode);
+        const b = this.sampleBilinear(u, v, this.levels[upper], wrapMode);
+        return {
+            r: a.r + (b.r - a.r) * t,
+            g: a.g + (b.g - a.g) * t,
+            b: a.b + (b.b - a.b) * t
+        };
+    }
+}
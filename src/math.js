@@ -0,0 +1,214 @@
+export class Point3D {
+    constructor(x, y, z) {
+        this.x = x; this.y = y; this.z = z;
+    }
+    
+    subtract(other) {
+        return new Point3D(this.x - other.x, this.y - other.y, this.z - other.z);
+    }
+    
+    add(other) {
+        return new Point3D(this.x + other.x, this.y + other.y, this.z + other.z);
+    }
+
+    cross(other) {
+        return new Point3D(
+            this.y * other.z - this.z * other.y,
+            this.z * other.x - this.x * other.z,
+            this.x * other.y - this.y * other.x
+        );
+    }
+
+    dot(other) {
+        return this.x * other.x + this.y * other.y + this.z * other.z;
+    }
+
+    length() {
+        return Math.sqrt(this.x * this.x + this.y * this.y + this.z * this.z);
+    }
+
+    normalize() {
+        const len = this.length();
+        return len > 0 ? new Point3D(this.x/len, this.y/len, this.z/len) : this;
+    }
+    
+    multiply(scalar) {
+        return new Point3D(this.x * scalar, this.y * scalar, this.z * scalar);
+    }
+}
+
+export class Matrix4 {
+    constructor(elements) {
+        this.elements = elements || [
+            1, 0, 0, 0,
+            0, 1, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ];
+    }
+
+    static translation(x, y, z) {
+        return new Matrix4([
+            1, 0, 0, x,
+            0, 1, 0, y,
+            0, 0, 1, z,
+            0, 0, 0, 1
+        ]);
+    }
+
+    static scaling(s) {
+        return new Matrix4([
+            s, 0, 0, 0,
+            0, s, 0, 0,
+            0, 0, s, 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    static rotationX(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return new Matrix4([
+            1, 0, 0, 0,
+            0, c, -s, 0,
+            0, s, c, 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    static rotationY(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return new Matrix4([
+            c, 0, s, 0,
+            0, 1, 0, 0,
+            -s, 0, c, 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    static rotationZ(angle) {
+        const c = Math.cos(angle), s = Math.sin(angle);
+        return new Matrix4([
+            c, -s, 0, 0,
+            s, c, 0, 0,
+            0, 0, 1, 0,
+            0, 0, 0, 1
+        ]);
+    }
+
+    static perspective(fovY, aspect, near, far) {
+        const f = 1 / Math.tan(fovY / 2);
+        return new Matrix4([
+            f / aspect, 0, 0, 0,
+            0, f, 0, 0,
+            0, 0, (far + near) / (near - far), 2 * far * near / (near - far),
+            0, 0, -1, 0
+        ]);
+    }
+
+    static orthographic(left, right, bottom, top, near, far) {
+        return new Matrix4([
+            2 / (right - left), 0, 0, -(right + left) / (right - left),
+            0, 2 / (top - bottom), 0, -(top + bottom) / (top - bottom),
+            0, 0, -2 / (far - near), -(far + near) / (far - near),
+            0, 0, 0, 1
+        ]);
+    }
+
+    static lookAt(eye, target, up) {
+        const forward = target.subtract(eye).normalize();
+        const side = forward.cross(up).normalize();
+        const trueUp = side.cross(forward);
+        return new Matrix4([
+            side.x, side.y, side.z, -side.dot(eye),
+            trueUp.x, trueUp.y, trueUp.z, -trueUp.dot(eye),
+            -forward.x, -forward.y, -forward.z, forward.dot(eye),
+            0, 0, 0, 1
+        ]);
+    }
+
+    multiply(other) {
+        const a = this.elements, b = other.elements;
+        const result = new Array(16);
+        for (let row = 0; row < 4; row++) {
+            for (let col = 0; col < 4; col++) {
+                result[row * 4 + col] =
+                    a[row * 4] * b[col] +
+                    a[row * 4 + 1] * b[4 + col] +
+                    a[row * 4 + 2] * b[8 + col] +
+                    a[row * 4 + 3] * b[12 + col];
+            }
+        }
+        return new Matrix4(result);
+    }
+
+    transformPoint(p) {
+        const e = this.elements;
+        return new Point3D(
+            e[0] * p.x + e[1] * p.y + e[2] * p.z + e[3],
+            e[4] * p.x + e[5] * p.y + e[6] * p.z + e[7],
+            e[8] * p.x + e[9] * p.y + e[10] * p.z + e[11]
+        );
+    }
+
+    transformHomogeneous(p) {
+        const e = this.elements;
+        return {
+            x: e[0] * p.x + e[1] * p.y + e[2] * p.z + e[3],
+            y: e[4] * p.x + e[5] * p.y + e[6] * p.z + e[7],
+            z: e[8] * p.x + e[9] * p.y + e[10] * p.z + e[11],
+            w: e[12] * p.x + e[13] * p.y + e[14] * p.z + e[15]
+        };
+    }
+
+    transformDirection(p) {
+        const e = this.elements;
+        return new Point3D(
+            e[0] * p.x + e[1] * p.y + e[2] * p.z,
+            e[4] * p.x + e[5] * p.y + e[6] * p.z,
+            e[8] * p.x + e[9] * p.y + e[10] * p.z
+        );
+    }
+}
+
+export const MAX_CAMERA_PITCH = Math.PI / 2 - 0.01;
+
+export class Camera {
+    constructor() {
+        this.target = new Point3D(0, 0, 0);
+        this.up = new Point3D(0, 1, 0);
+        this.distance = 5;
+        this.yaw = 0;
+        this.pitch = 0;
+        this.fov = 53;
+        this.near = 0.1;
+        this.far = 100;
+        this.updatePosition();
+    }
+
+    updatePosition() {
+        this.position = new Point3D(
+            this.target.x + this.distance * Math.cos(this.pitch) * Math.sin(this.yaw),
+            this.target.y + this.distance * Math.sin(this.pitch),
+            this.target.z + this.distance * Math.cos(this.pitch) * Math.cos(this.yaw)
+        );
+    }
+
+    orbit(deltaYaw, deltaPitch) {
+        this.yaw += deltaYaw;
+        this.pitch = Math.min(Math.max(this.pitch + deltaPitch, -MAX_CAMERA_PITCH), MAX_CAMERA_PITCH);
+        this.updatePosition();
+    }
+
+    zoom(factor) {
+        this.distance = Math.min(Math.max(this.distance * factor, 1.5), 50);
+        this.updatePosition();
+    }
+
+    getViewMatrix() {
+        return Matrix4.lookAt(this.position, this.target, this.up);
+    }
+
+    getProjectionMatrix(aspect) {
+        return Matrix4.perspective(this.fov * Math.PI / 180, aspect, this.near, this.far);
+    }
+}
@@ -0,0 +1,1500 @@
+import { Point3D, Matrix4, Camera } from './math.js';
+import { Light, Material, hexToColor, Texture } from './materials.js';
+import { Vertex, PROCEDURAL_MESHES, MAX_SUBDIVISION_FACES, Model3D, MeshGenerator, Subdivision } from './geometry.js';
+import { SceneFormat, SceneNode } from './scene.js';
+import { Timeline } from './timeline.js';
+
+export const FALLBACK_MODEL = 'cube';
+const SUPERSAMPLE_SCALES = { 'none': 1, 'ssaa2': 2, 'ssaa4': 4, 'msaa4': 1 };
+const MAX_SUPERSAMPLE_PIXELS = 16000000;
+const MSAA_SAMPLE_OFFSETS = [
+    { x: -0.125, y: -0.375 },
+    { x: 0.375, y: -0.125 },
+    { x: -0.375, y: 0.125 },
+    { x: 0.125, y: 0.375 }
+];
+
+const DEBUG_COLORS = {
+    wireframe: { r: 1.0, g: 0.8, b: 0.2 },
+    vertexNormal: { r: 0.2, g: 0.9, b: 1.0 },
+    faceNormal: { r: 1.0, g: 0.3, b: 0.9 },
+    grid: { r: 0.35, g: 0.35, b: 0.45 },
+    axisX: { r: 1.0, g: 0.25, b: 0.25 },
+    axisY: { r: 0.25, g: 1.0, b: 0.25 },
+    axisZ: { r: 0.3, g: 0.45, b: 1.0 }
+};
+const DEBUG_NORMAL_LENGTH = 0.3;
+const DEBUG_GIZMO_SIZE = 0.15;
+const DEBUG_AXIS_LENGTH = 1.5;
+const DEBUG_GRID_EXTENT = 5;
+const DEBUG_DEPTH_BIAS = 0.01;
+const DEBUG_UV_EPSILON = 1e-4;
+
+const CLIP_PLANES = [
+    c => c.z + c.w,
+    c => c.w - c.z,
+    c => c.x + c.w,
+    c => c.w - c.x,
+    c => c.y + c.w,
+    c => c.w - c.y
+];
+
+export class Renderer {
+    constructor(width, height) {
+        this.meshParams = {};
+        Object.entries(PROCEDURAL_MESHES).forEach(([key, params]) => {
+            this.meshParams[key] = {};
+            Object.entries(params).forEach(([name, param]) => this.meshParams[key][name] = param.value);
+        });
+        this.subdivisionLevel = 0;
+        this.subdividedModels = new WeakMap();
+        this.shadingMode = 'phong';
+        this.lights = [new Light('point', new Point3D(2, 2, 2))];
+        this.lightingModel = 'phong';
+
+        this.enableToonShading = false;
+        this.toonBands = 4;
+        this.outline = {
+            enabled: false,
+            thickness: 2,
+            color: { r: 0, g: 0, b: 0 },
+            creaseAngle: 40
+        };
+
+        this.showDepthBuffer = false;
+        this.debug = {
+            view: 'shaded',
+            wireframe: false,
+            vertexNormals: false,
+            faceNormals: false,
+            lightGizmo: false,
+            axes: false,
+            grid: false
+        };
+        this.renderScale = 1;
+        this.antialiasing = 'none';
+        this.enableFXAA = false;
+        this.backfaceCulling = true;
+        this.sampleDepth = null;
+        this.sampleColor = null;
+        this.supersampleTarget = null;
+        Object.assign(this, this.createRenderTarget(width, height));
+        this.clearColor = new Uint32Array(new Uint8ClampedArray([0x1a, 0x1a, 0x2e, 255]).buffer)[0];
+        this.clipStats = { clipped: 0, culled: 0 };
+        this.meshStats = { faces: 0, vertices: 0 };
+        this.viewport = { x: 0, width };
+
+        this.showGround = false;
+        this.groundMaterial = new Material({
+            color: { r: 0.7, g: 0.7, b: 0.7 },
+            specularIntensity: 0.1,
+            shininess: 8,
+            roughness: 0.9
+        });
+        this.shadow = {
+            enabled: false,
+            resolution: 512,
+            bias: 0.05,
+            pcfRadius: 1,
+            map: null,
+            viewMatrix: null,
+            viewProjection: null
+        };
+        
+        const firstObject = new SceneNode('Object 1', 'cube');
+        firstObject.rotation = { x: Math.PI / 6, y: Math.PI / 6, z: 0 };
+        this.objects = [firstObject];
+        this.selectedObject = firstObject;
+        this.objectCounter = 1;
+        
+        this.camera = new Camera();
+        this.interpolationMode = 'perspective';
+        
+        this.checkerTexture = Texture.checkerboard();
+        this.textureFilter = 'bilinear';
+
+        this.normalMap = null;
+        this.enableNormalMap = false;
+        this.normalMapType = 'normal';
+        this.bumpStrength = 1.0;
+        
+        this.models = this.createModels();
+        this.groundModel = this.createGroundPlane();
+        this.timeline = new Timeline();
+    }
+
+    createRenderTarget(width, height) {
+        return {
+            depthBuffer: new Float32Array(width * height),
+            normalBuffer: new Float32Array(width * height * 3),
+            frameBuffer: { width, height, data: new Uint8ClampedArray(width * height * 4) }
+        };
+    }
+
+    withRenderTarget(target, renderScale, draw) {
+        const saved = {
+            depthBuffer: this.depthBuffer,
+            normalBuffer: this.normalBuffer,
+            frameBuffer: this.frameBuffer,
+            sampleDepth: this.sampleDepth,
+            sampleColor: this.sampleColor,
+            renderScale: this.renderScale
+        };
+        Object.assign(this, target, { sampleDepth: null, sampleColor: null, renderScale });
+        try {
+            return draw();
+        } finally {
+            Object.assign(this, saved);
+        }
+    }
+
+    ensureSampleBuffers() {
+        const size = this.frameBuffer.width * this.frameBuffer.height * MSAA_SAMPLE_OFFSETS.length;
+        if (!this.sampleDepth || this.sampleDepth.length !== size) {
+            this.sampleDepth = new Float32Array(size);
+            this.sampleColor = new Uint8ClampedArray(size * 4);
+        }
+    }
+
+    createModels() {
+        const cubeVertices = [
+            new Vertex(new Point3D(-1, -1, -1)),
+            new Vertex(new Point3D(1, -1, -1)),
+            new Vertex(new Point3D(1, 1, -1)),
+            new Vertex(new Point3D(-1, 1, -1)),
+            new Vertex(new Point3D(-1, -1, 1)),
+            new Vertex(new Point3D(1, -1, 1)),
+            new Vertex(new Point3D(1, 1, 1)),
+            new Vertex(new Point3D(-1, 1, 1))
+        ];
+        
+        const cubeFaces = [
+            { indices: [0, 3, 2, 1], texCoords: [{ u: 0, v: 1 }, { u: 0, v: 0 }, { u: 1, v: 0 }, { u: 1, v: 1 }] },
+            { indices: [4, 5, 6, 7], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
+            { indices: [0, 1, 5, 4], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
+            { indices: [2, 3, 7, 6], texCoords: [{ u: 1, v: 1 }, { u: 0, v: 1 }, { u: 0, v: 0 }, { u: 1, v: 0 }] },
+            { indices: [0, 4, 7, 3], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] },
+            { indices: [1, 2, 6, 5], texCoords: [{ u: 0, v: 1 }, { u: 1, v: 1 }, { u: 1, v: 0 }, { u: 0, v: 0 }] }
+        ];
+        
+        const tetraVertices = [
+            new Vertex(new Point3D(0, 1, 0)),
+            new Vertex(new Point3D(0.87, -0.5, 0)),
+            new Vertex(new Point3D(-0.87, -0.5, 0)),
+            new Vertex(new Point3D(0, 0, 1.41))
+        ];
+        
+        const tetraFaces = [
+            { indices: [0, 2, 1], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 1 }, { u: 1, v: 1 }] },
+            { indices: [0, 1, 3], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 1 }, { u: 1, v: 1 }] },
+            { indices: [0, 3, 2], texCoords: [{ u: 0.5, v: 0 }, { u: 1, v: 1 }, { u: 0, v: 1 }] },
+            { indices: [1, 2, 3], texCoords: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0.5, v: 1 }] }
+        ];
+        
+        const octaVertices = [
+            new Vertex(new Point3D(0, 1, 0)),
+            new Vertex(new Point3D(1, 0, 0)),
+            new Vertex(new Point3D(0, 0, 1)),
+            new Vertex(new Point3D(-1, 0, 0)),
+            new Vertex(new Point3D(0, 0, -1)),
+            new Vertex(new Point3D(0, -1, 0))
+        ];
+        
+        const octaFaces = [
+            { indices: [0, 1, 2], texCoords: [{ u: 0.5, v: 0 }, { u: 1, v: 0.5 }, { u: 0.5, v: 1 }] },
+            { indices: [0, 2, 3], texCoords: [{ u: 0.5, v: 0 }, { u: 0.5, v: 1 }, { u: 0, v: 0.5 }] },
+            { indices: [0, 3, 4], texCoords: [{ u: 0.5, v: 0 }, { u: 0, v: 0.5 }, { u: 0.5, v: 1 }] },
+            { indices: [0, 4, 1], texCoords: [{ u: 0.5, v: 0 }, { u: 0.5, v: 1 }, { u: 1, v: 0.5 }] },
+            { indices: [5, 2, 1], texCoords: [{ u: 0.5, v: 1 }, { u: 0.5, v: 0 }, { u: 1, v: 0.5 }] },
+            { indices: [5, 3, 2], texCoords: [{ u: 0.5, v: 1 }, { u: 0, v: 0.5 }, { u: 0.5, v: 0 }] },
+            { indices: [5, 4, 3], texCoords: [{ u: 0.5, v: 1 }, { u: 0.5, v: 0 }, { u: 0, v: 0.5 }] },
+            { indices: [5, 1, 4], texCoords: [{ u: 0.5, v: 1 }, { u: 1, v: 0.5 }, { u: 0.5, v: 0 }] }
+        ];
+        
+        const models = {
+            cube: new Model3D(cubeVertices, cubeFaces),
+            tetrahedron: new Model3D(tetraVertices, tetraFaces),
+            octahedron: new Model3D(octaVertices, octaFaces)
+        };
+        Object.keys(PROCEDURAL_MESHES).forEach(key => {
+            models[key] = MeshGenerator[key](this.meshParams[key]);
+        });
+        return models;
+    }
+
+    getRenderModel(key) {
+        const model = this.models[key];
+        if (this.subdivisionLevel === 0) return model;
+
+        const cached = this.subdividedModels.get(model);
+        if (cached && cached.level === this.subdivisionLevel) {
+            return cached.model;
+        }
+
+        let subdivided = model;
+        for (let level = 0; level < this.subdivisionLevel; level++) {
+            if (subdivided.faces.length * 4 > MAX_SUBDIVISION_FACES) break;
+            subdivided = Subdivision.catmullClark(subdivided);
+        }
+        this.subdividedModels.set(model, { level: this.subdivisionLevel, model: subdivided });
+        return subdivided;
+    }
+
+    getSceneOrder() {
+        const order = [];
+        const visit = (node, depth) => {
+            order.push({ node, depth });
+            node.children.forEach(child => visit(child, depth + 1));
+        };
+        this.objects.filter(node => !node.parent).forEach(node => visit(node, 0));
+        return order;
+    }
+
+    createGroundPlane(size = 10, divisions = 10, height = -2) {
+        const vertices = [];
+        const faces = [];
+        const step = size / divisions;
+        for (let i = 0; i <= divisions; i++) {
+            for (let j = 0; j <= divisions; j++) {
+                vertices.push(new Vertex(new Point3D(-size / 2 + i * step, height, -size / 2 + j * step)));
+            }
+        }
+        for (let i = 0; i < divisions; i++) {
+            for (let j = 0; j < divisions; j++) {
+                const a = i * (divisions + 1) + j;
+                const d = (i + 1) * (divisions + 1) + j;
+                faces.push({
+                    indices: [a, a + 1, d + 1, d],
+                    texCoords: [
+                        { u: i / 2, v: j / 2 }, { u: i / 2, v: (j + 1) / 2 },
+                        { u: (i + 1) / 2, v: (j + 1) / 2 }, { u: (i + 1) / 2, v: j / 2 }
+                    ]
+                });
+            }
+        }
+        return new Model3D(vertices, faces);
+    }
+
+    applyScene(scene) {
+        const meshes = scene.meshes || {};
+        const missingModels = [];
+        scene.objects.forEach(object => {
+            if (!Object.hasOwn(this.models, object.model) && !Object.hasOwn(meshes, object.model) &&
+                !missingModels.includes(object.model)) {
+                missingModels.push(object.model);
+            }
+        });
+
+        const models = {};
+        const meshParams = {};
+        Object.entries(meshes).forEach(([key, mesh]) => {
+            models[key] = SceneFormat.meshFromJSON(mesh);
+        });
+        Object.entries(scene.meshParams || {}).forEach(([key, params]) => {
+            meshParams[key] = { ...this.meshParams[key], ...params };
+            models[key] = MeshGenerator[key](meshParams[key]);
+        });
+        Object.assign(this.meshParams, meshParams);
+        Object.assign(this.models, models);
+
+        Object.assign(this, {
+            shadingMode: scene.render.shadingMode,
+            lightingModel: scene.render.lightingModel,
+            interpolationMode: scene.render.interpolationMode,
+            textureFilter: scene.render.textureFilter,
+            subdivisionLevel: scene.render.subdivisionLevel,
+            showDepthBuffer: scene.render.showDepthBuffer,
+            antialiasing: scene.render.antialiasing || 'none',
+            enableFXAA: scene.render.fxaa || false,
+            backfaceCulling: scene.render.backfaceCulling !== false,
+            enableToonShading: scene.toon.enabled,
+            toonBands: scene.toon.bands,
+            showGround: scene.ground.enabled,
+            enableNormalMap: scene.normalMap.enabled,
+            normalMapType: scene.normalMap.type,
+            bumpStrength: scene.normalMap.strength
+        });
+        this.outline = { ...scene.toon.outline, color: hexToColor(scene.toon.outline.color) };
+        Object.assign(this.shadow, scene.shadow);
+
+        this.lights = scene.lights.map(data => {
+            const light = new Light(data.type, new Point3D(...data.position));
+            light.target = new Point3D(...data.target);
+            light.color = hexToColor(data.color);
+            ['intensity', 'constant', 'linear', 'quadratic', 'spotAngle'].forEach(property => light[property] = data[property]);
+            return light;
+        });
+
+        const camera = new Camera();
+        camera.target = new Point3D(...scene.camera.target);
+        ['distance', 'yaw', 'pitch', 'fov', 'near', 'far'].forEach(property => camera[property] = scene.camera[property]);
+        camera.updatePosition();
+        this.camera = camera;
+
+        const skippedAssets = [];
+        const loadTexture = (source, name, onLoad) => {
+            if (!this.decodeTexture(source, name, onLoad)) skippedAssets.push(name);
+        };
+
+        if (scene.normalMap.image === null) {
+            this.normalMap = null;
+        } else if (scene.normalMap.image) {
+            loadTexture(scene.normalMap.image, 'normal map', (texture) => this.normalMap = texture);
+        }
+
+        const nodes = scene.objects.map(data => {
+            const node = new SceneNode(data.name, missingModels.includes(data.model) ? FALLBACK_MODEL : data.model);
+            const [x, y, z] = data.translation;
+            const [rx, ry, rz] = data.rotation.map(angle => angle * Math.PI / 180);
+            node.translation = { x, y, z };
+            node.rotation = { x: rx, y: ry, z: rz };
+            node.scale = data.scale;
+            node.material = new Material({
+                ...data.material,
+                color: hexToColor(data.material.color),
+                specularColor: hexToColor(data.material.specularColor)
+            });
+            node.textured = data.textured;
+            node.wrapMode = data.wrapMode;
+            if (data.texture) {
+                loadTexture(data.texture, data.name + ' texture', (texture) => node.texture = texture);
+            }
+            return node;
+        });
+        scene.objects.forEach((data, index) => {
+            if (data.parent >= 0) nodes[index].setParent(nodes[data.parent]);
+        });
+        this.objects = nodes;
+        this.objectCounter = nodes.length;
+        this.selectedObject = nodes[scene.selectedObject || 0];
+        this.timeline.clear();
+        return { skippedAssets, missingModels };
+    }
+
+    decodeTexture(source, name, onLoad) {
+        return false;
+    }
+
+    sampleLight(light, position) {
+        const radiance = (factor) => ({
+            r: light.color.r * factor,
+            g: light.color.g * factor,
+            b: light.color.b * factor
+        });
+
+        if (light.type === 'directional') {
+            return {
+                direction: light.position.subtract(light.target).normalize(),
+                radiance: radiance(light.intensity)
+            };
+        }
+
+        const toLight = light.position.subtract(position);
+        const distance = toLight.length();
+        const direction = toLight.normalize();
+        let factor = light.intensity / Math.max(
+            light.constant + light.linear * distance + light.quadratic * distance * distance, 0.0001);
+
+        if (light.type === 'spot') {
+            const spotDir = light.target.subtract(light.position).normalize();
+            const cosAngle = -direction.dot(spotDir);
+            const cosOuter = Math.cos(light.spotAngle * Math.PI / 180);
+            const cosInner = Math.cos(light.spotAngle * 0.8 * Math.PI / 180);
+            if (cosAngle <= cosOuter) return null;
+            factor *= Math.min((cosAngle - cosOuter) / (cosInner - cosOuter), 1);
+        }
+
+        return { direction, radiance: radiance(factor) };
+    }
+
+    calculateLighting(normal, position, viewDirection, shadowVisibility = null) {
+        const material = this.surface.material;
+        const normNormal = normal.normalize();
+        const viewDir = viewDirection.normalize();
+        const view = this.debug.view;
+        const rawTerm = view === 'diffuse' || view === 'specular';
+        const color = rawTerm ? { r: 0, g: 0, b: 0 } : {
+            r: material.ambient * material.color.r,
+            g: material.ambient * material.color.g,
+            b: material.ambient * material.color.b
+        };
+
+        this.lights.forEach((light, index) => {
+            const sample = this.sampleLight(light, position);
+            if (!sample) return;
+            let visibility = 1;
+            if (index === 0) {
+                visibility = shadowVisibility !== null ? shadowVisibility : this.getShadowVisibility(position);
+            }
+            if (visibility <= 0) return;
+            const lightDir = sample.direction;
+
+            let lambert = Math.max(normNormal.dot(lightDir), 0);
+
+            if (this.enableToonShading && this.toonBands > 1) {
+                const bands = this.toonBands;
+                lambert = Math.floor(lambert * (bands - 1)) / (bands - 1);
+            }
+
+            if (lambert <= 0) return;
+
+            let diffuse, specular;
+            if (this.lightingModel === 'cook-torrance') {
+                ({ diffuse, specular } = this.cookTorrance(normNormal, viewDir, lightDir, material));
+            } else {
+                let specAngle;
+                if (this.lightingModel === 'blinn-phong') {
+                    const halfDir = lightDir.add(viewDir).normalize();
+                    specAngle = Math.max(normNormal.dot(halfDir), 0);
+                } else {
+                    const reflectDir = normNormal.multiply(2 * normNormal.dot(lightDir)).subtract(lightDir).normalize();
+                    specAngle = Math.max(reflectDir.dot(viewDir), 0);
+                }
+                
+                let spec = material.specularIntensity * Math.pow(specAngle, material.shininess);
+
+                if (this.enableToonShading) {
+                    spec = (spec > 0.5) ? material.specularIntensity : 0;
+                }
+
+                diffuse = material.color;
+                specular = {
+                    r: spec * material.specularColor.r,
+                    g: spec * material.specularColor.g,
+                    b: spec * material.specularColor.b
+                };
+            }
+
+            const strength = view === 'specular' ? 0 : lambert * visibility;
+            const specularStrength = view === 'diffuse' ? 0 : visibility;
+            color.r += strength * sample.radiance.r * diffuse.r + specularStrength * sample.radiance.r * specular.r;
+            color.g += strength * sample.radiance.g * diffuse.g + specularStrength * sample.radiance.g * specular.g;
+            color.b += strength * sample.radiance.b * diffuse.b + specularStrength * sample.radiance.b * specular.b;
+        });
+        
+        return color;
+    }
+
+    cookTorrance(normal, viewDir, lightDir, material) {
+        const halfDir = lightDir.add(viewDir).normalize();
+        const nDotL = Math.max(normal.dot(lightDir), 0);
+        const nDotV = Math.max(normal.dot(viewDir), 0.0001);
+        const nDotH = Math.max(normal.dot(halfDir), 0);
+        const vDotH = Math.max(viewDir.dot(halfDir), 0);
+
+        const alpha = material.roughness * material.roughness;
+        const alpha2 = alpha * alpha;
+        const d = nDotH * nDotH * (alpha2 - 1) + 1;
+        const distribution = alpha2 / (Math.PI * d * d);
+
+        const k = (material.roughness + 1) * (material.roughness + 1) / 8;
+        const geometry = (nDotV / (nDotV * (1 - k) + k)) * (nDotL / (nDotL * (1 - k) + k));
+
+        const fresnelWeight = Math.pow(1 - vDotH, 5);
+        const fresnel = (channel) => {
+            const f0 = 0.04 + (material.color[channel] - 0.04) * material.metallic;
+            return f0 + (1 - f0) * fresnelWeight;
+        };
+
+        const diffuse = {}, specular = {};
+        ['r', 'g', 'b'].forEach(channel => {
+            const f = fresnel(channel);
+            diffuse[channel] = (1 - f) * (1 - material.metallic) * material.color[channel];
+            specular[channel] = Math.PI * distribution * geometry * f / (4 * nDotV * Math.max(nDotL, 0.0001)) * nDotL;
+        });
+        return { diffuse, specular };
+    }
+
+    getActiveTexture() {
+        return this.surface.texture || this.checkerTexture;
+    }
+
+    getTextureColor(u, v, lod = 0) {
+        return this.getActiveTexture().sample(u, v, this.textureFilter, lod, this.surface.wrapMode);
+    }
+
+    perturbNormal(normal, tangentFrame, u, v) {
+        const tangent = tangentFrame.tangent.subtract(normal.multiply(normal.dot(tangentFrame.tangent))).normalize();
+        let bitangent = normal.cross(tangent);
+        if (bitangent.dot(tangentFrame.bitangent) < 0) {
+            bitangent = bitangent.multiply(-1);
+        }
+
+        const filter = this.textureFilter === 'nearest' ? 'nearest' : 'bilinear';
+        if (this.normalMapType === 'height') {
+            const level = this.normalMap.levels[0];
+            const height = (uu, vv) => {
+                const c = this.normalMap.sample(uu, vv, filter);
+                return (c.r + c.g + c.b) / 3;
+            };
+            const h = height(u, v);
+            const scale = this.bumpStrength * 8;
+            const dhdu = (height(u + 1 / level.width, v) - h) * scale;
+            const dhdv = (height(u, v + 1 / level.height) - h) * scale;
+            return normal.subtract(tangent.multiply(dhdu)).subtract(bitangent.multiply(dhdv)).normalize();
+        }
+
+        const c = this.normalMap.sample(u, v, filter);
+        const nx = (c.r * 2 - 1) * this.bumpStrength;
+        const ny = -(c.g * 2 - 1) * this.bumpStrength;
+        const nz = c.b * 2 - 1;
+        return tangent.multiply(nx).add(bitangent.multiply(ny)).add(normal.multiply(nz)).normalize();
+    }
+
+    drawTriangle(v1, v2, v3, screenV1, screenV2, screenV3, texCoord1, texCoord2, texCoord3, tangentFrame) {
+        const minX = Math.max(this.viewport.x, Math.floor(Math.min(screenV1.x, screenV2.x, screenV3.x)));
+        const maxX = Math.min(this.viewport.x + this.viewport.width - 1, Math.ceil(Math.max(screenV1.x, screenV2.x, screenV3.x)));
+        const minY = Math.max(0, Math.floor(Math.min(screenV1.y, screenV2.y, screenV3.y)));
+        const maxY = Math.min(this.frameBuffer.height - 1, Math.ceil(Math.max(screenV1.y, screenV2.y, screenV3.y)));
+        
+        const cameraPos = this.camera.position;
+        const surface = this.surface;
+        const faceNormal = this.outline.enabled ?
+            v2.position.subtract(v1.position).cross(v3.position.subtract(v1.position)).normalize() : null;
+        const frameData = this.frameBuffer.data;
+        const width = this.frameBuffer.width;
+        const multisample = this.antialiasing === 'msaa4';
+        const sampleCount = MSAA_SAMPLE_OFFSETS.length;
+        const debugView = this.debug.view;
+
+        const denom = (screenV2.y - screenV3.y) * (screenV1.x - screenV3.x) + 
+                     (screenV3.x - screenV2.x) * (screenV1.y - screenV3.y);
+        if (Math.abs(denom) < 0.0001) return;
+
+        const texCoordAt = (lambda1, lambda2, perspectiveCorrect) => {
+            let w1 = lambda1, w2 = lambda2, w3 = 1 - lambda1 - lambda2;
+            if (perspectiveCorrect) {
+                const invW1 = w1 / screenV1.w, invW2 = w2 / screenV2.w, invW3 = w3 / screenV3.w;
+                const sum = invW1 + invW2 + invW3;
+                w1 = invW1 / sum;
+                w2 = invW2 / sum;
+                w3 = invW3 / sum;
+            }
+            return {
+                u: w1 * texCoord1.u + w2 * texCoord2.u + w3 * texCoord3.u,
+                v: w1 * texCoord1.v + w2 * texCoord2.v + w3 * texCoord3.v
+            };
+        };
+
+        const stepX1 = (screenV2.y - screenV3.y) / denom;
+        const stepY1 = (screenV3.x - screenV2.x) / denom;
+        const stepX2 = (screenV3.y - screenV1.y) / denom;
+        const stepY2 = (screenV1.x - screenV3.x) / denom;
+        let rowLambda1 = stepX1 * (minX - screenV3.x) + stepY1 * (minY - screenV3.y);
+        let rowLambda2 = stepX2 * (minX - screenV3.x) + stepY2 * (minY - screenV3.y);
+        
+        for (let y = minY; y <= maxY; y++, rowLambda1 += stepY1, rowLambda2 += stepY2) {
+            let lambda1 = rowLambda1;
+            let lambda2 = rowLambda2;
+            for (let x = minX; x <= maxX; x++, lambda1 += stepX1, lambda2 += stepX2) {
+                const depthIndex = y * width + x;
+                let l1 = lambda1, l2 = lambda2;
+                let coverage = 0;
+
+                if (multisample) {
+                    let covered = 0, sum1 = 0, sum2 = 0;
+                    for (let s = 0; s < sampleCount; s++) {
+                        const offset = MSAA_SAMPLE_OFFSETS[s];
+                        const s1 = lambda1 + stepX1 * offset.x + stepY1 * offset.y;
+                        const s2 = lambda2 + stepX2 * offset.x + stepY2 * offset.y;
+                        const s3 = 1 - s1 - s2;
+                        if (s1 < 0 || s2 < 0 || s3 < 0) continue;
+
+                        const sampleIndex = depthIndex * sampleCount + s;
+                        const sampleDepth = 1 / (s1 / screenV1.w + s2 / screenV2.w + s3 / screenV3.w);
+                        if (sampleDepth >= this.sampleDepth[sampleIndex]) continue;
+                        this.sampleDepth[sampleIndex] = sampleDepth;
+                        coverage |= 1 << s;
+                        covered++;
+                        sum1 += s1;
+                        sum2 += s2;
+                    }
+                    if (covered === 0) continue;
+                    l1 = sum1 / covered;
+                    l2 = sum2 / covered;
+                } else if (lambda1 < -0.001 || lambda2 < -0.001 || 1 - lambda1 - lambda2 < -0.001) {
+                    continue;
+                }
+
+                const l3 = 1 - l1 - l2;
+                const invW1 = l1 / screenV1.w;
+                const invW2 = l2 / screenV2.w;
+                const invW3 = l3 / screenV3.w;
+                const depth = 1 / (invW1 + invW2 + invW3);
+                if (depth < this.depthBuffer[depthIndex]) {
+                    this.depthBuffer[depthIndex] = depth;
+                    if (faceNormal) {
+                        this.normalBuffer[depthIndex * 3] = faceNormal.x;
+                        this.normalBuffer[depthIndex * 3 + 1] = faceNormal.y;
+                        this.normalBuffer[depthIndex * 3 + 2] = faceNormal.z;
+                    }
+                } else if (!multisample) {
+                    continue;
+                }
+
+                const perspectiveCorrect = this.interpolationMode === 'perspective' ||
+                    (this.interpolationMode === 'split' && x >= width / 2);
+                let w1 = l1, w2 = l2, w3 = l3;
+                if (perspectiveCorrect) {
+                    w1 = invW1 * depth;
+                    w2 = invW2 * depth;
+                    w3 = invW3 * depth;
+                }
+
+                let color;
+                
+                if (debugView === 'uv') {
+                    const texCoord = texCoordAt(Math.max(l1, 0), Math.max(l2, 0), perspectiveCorrect);
+                    const wrap = value => value >= -DEBUG_UV_EPSILON && value <= 1 + DEBUG_UV_EPSILON ?
+                        Math.min(Math.max(value, 0), 1) : value - Math.floor(value);
+                    color = { r: wrap(texCoord.u), g: wrap(texCoord.v), b: 0 };
+                } else if (v1.color && v2.color && v3.color && debugView !== 'normals') {
+                    const r = w1 * v1.color.r + w2 * v2.color.r + w3 * v3.color.r;
+                    const g = w1 * v1.color.g + w2 * v2.color.g + w3 * v3.color.g;
+                    const b = w1 * v1.color.b + w2 * v2.color.b + w3 * v3.color.b;
+                    color = { r, g, b };
+
+                    const shadow1 = v1.color.shadowColor, shadow2 = v2.color.shadowColor, shadow3 = v3.color.shadowColor;
+                    if (shadow1 && shadow2 && shadow3) {
+                        const visibility = this.getShadowVisibility(new Point3D(
+                            w1 * v1.position.x + w2 * v2.position.x + w3 * v3.position.x,
+                            w1 * v1.position.y + w2 * v2.position.y + w3 * v3.position.y,
+                            w1 * v1.position.z + w2 * v2.position.z + w3 * v3.position.z
+                        ));
+                        color.r += (1 - visibility) * (w1 * shadow1.r + w2 * shadow2.r + w3 * shadow3.r - r);
+                        color.g += (1 - visibility) * (w1 * shadow1.g + w2 * shadow2.g + w3 * shadow3.g - g);
+                        color.b += (1 - visibility) * (w1 * shadow1.b + w2 * shadow2.b + w3 * shadow3.b - b);
+                    }
+                } else {
+                    let interpolatedNormal = new Point3D(
+                        w1 * v1.normal.x + w2 * v2.normal.x + w3 * v3.normal.x,
+                        w1 * v1.normal.y + w2 * v2.normal.y + w3 * v3.normal.y,
+                        w1 * v1.normal.z + w2 * v2.normal.z + w3 * v3.normal.z
+                    ).normalize();
+
+                    if (surface.normalMapped && this.normalMap) {
+                        const texCoord = texCoordAt(l1, l2, perspectiveCorrect);
+                        interpolatedNormal = this.perturbNormal(interpolatedNormal, tangentFrame, texCoord.u, texCoord.v);
+                    }
+                    
+                    if (debugView === 'normals') {
+                        color = {
+                            r: interpolatedNormal.x * 0.5 + 0.5,
+                            g: interpolatedNormal.y * 0.5 + 0.5,
+                            b: interpolatedNormal.z * 0.5 + 0.5
+                        };
+                    } else {
+                        const position = new Point3D(
+                            w1 * v1.position.x + w2 * v2.position.x + w3 * v3.position.x,
+                            w1 * v1.position.y + w2 * v2.position.y + w3 * v3.position.y,
+                            w1 * v1.position.z + w2 * v2.position.z + w3 * v3.position.z
+                        );
+                        
+                        const viewDir = cameraPos.subtract(position);
+                        color = this.calculateLighting(interpolatedNormal, position, viewDir);
+                    }
+                }
+                
+                if (surface.textured && (debugView === 'shaded' || debugView === 'checker')) {
+                    const u = w1 * texCoord1.u + w2 * texCoord2.u + w3 * texCoord3.u;
+                    const v = w1 * texCoord1.v + w2 * texCoord2.v + w3 * texCoord3.v;
+                    let lod = 0;
+                    if (this.textureFilter === 'trilinear') {
+                        const nextX = texCoordAt(l1 + stepX1, l2 + stepX2, perspectiveCorrect);
+                        const nextY = texCoordAt(l1 + stepY1, l2 + stepY2, perspectiveCorrect);
+                        lod = this.getActiveTexture().computeLod(nextX.u - u, nextX.v - v, nextY.u - u, nextY.v - v);
+                    }
+                    const texColor = this.getTextureColor(u, v, lod);
+                    
+                    color.r *= texColor.r; 
+                    color.g *= texColor.g; 
+                    color.b *= texColor.b;
+                }
+                
+                if (multisample) {
+                    for (let s = 0; s < sampleCount; s++) {
+                        if (!(coverage & (1 << s))) continue;
+                        const sampleIndex = (depthIndex * sampleCount + s) * 4;
+                        this.sampleColor[sampleIndex] = color.r * 255;
+                        this.sampleColor[sampleIndex + 1] = color.g * 255;
+                        this.sampleColor[sampleIndex + 2] = color.b * 255;
+                    }
+                    continue;
+                }
+
+                const pixelIndex = depthIndex * 4;
+                frameData[pixelIndex] = color.r * 255;
+                frameData[pixelIndex + 1] = color.g * 255;
+                frameData[pixelIndex + 2] = color.b * 255;
+                frameData[pixelIndex + 3] = 255;
+            }
+        }
+    }
+
+    renderFrame() {
+        const { width, height } = this.frameBuffer;
+        const maxScale = Math.max(1, Math.floor(Math.sqrt(MAX_SUPERSAMPLE_PIXELS / (width * height))));
+        const scale = Math.min(SUPERSAMPLE_SCALES[this.antialiasing], maxScale);
+
+        let layout;
+        if (scale > 1) {
+            const target = this.supersampleTarget;
+            if (!target || target.frameBuffer.width !== width * scale || target.frameBuffer.height !== height * scale) {
+                this.supersampleTarget = this.createRenderTarget(width * scale, height * scale);
+            }
+            layout = this.withRenderTarget(this.supersampleTarget, this.renderScale * scale, () => this.rasterizeScene());
+            this.downsample(this.supersampleTarget.frameBuffer, scale);
+        } else {
+            layout = this.rasterizeScene();
+        }
+
+        if (this.enableFXAA) {
+            this.applyFXAA();
+        }
+
+        return layout;
+    }
+
+    rasterizeScene() {
+        const multisample = this.antialiasing === 'msaa4';
+        new Uint32Array(this.frameBuffer.data.buffer).fill(this.clearColor);
+        this.depthBuffer.fill(Infinity);
+        if (multisample) {
+            this.ensureSampleBuffers();
+            this.sampleDepth.fill(Infinity);
+            new Uint32Array(this.sampleColor.buffer).fill(this.clearColor);
+        }
+        this.clipStats.clipped = 0;
+        this.clipStats.culled = 0;
+        
+        const drawList = this.objects.map(node => ({
+            node,
+            model: this.getRenderModel(node.modelKey),
+            modelMatrix: node.getWorldMatrix(),
+            rotationMatrix: node.getWorldRotationMatrix()
+        }));
+        
+        this.meshStats.faces = drawList.reduce((sum, item) => sum + item.model.faces.length, 0);
+        this.meshStats.vertices = drawList.reduce((sum, item) => sum + item.model.vertices.length, 0);
+        
+        if (this.shadow.enabled) {
+            this.renderShadowMap(drawList);
+        }
+
+        const passes = this.shadingMode === 'compare' ? ['flat', 'gouraud', 'phong'] : [this.shadingMode];
+        const checker = this.debug.view === 'checker';
+        const selectionBounds = [];
+        passes.forEach((shading, index) => {
+            const viewProjection = this.setPassViewport(index, passes.length);
+
+            drawList.forEach(({ node, model, modelMatrix, rotationMatrix }) => {
+                this.surface = {
+                    material: node.material,
+                    textured: node.textured || checker,
+                    texture: checker ? null : node.texture,
+                    wrapMode: node.wrapMode,
+                    normalMapped: this.enableNormalMap
+                };
+                this.renderModel(model, modelMatrix, rotationMatrix, viewProjection, shading);
+                if (node === this.selectedObject && drawList.length > 1) {
+                    selectionBounds.push(this.getScreenBounds(model, modelMatrix, viewProjection, this.renderScale));
+                }
+            });
+
+            if (this.showGround) {
+                this.surface = {
+                    material: this.groundMaterial,
+                    textured: checker,
+                    texture: null,
+                    wrapMode: 'repeat',
+                    normalMapped: false
+                };
+                this.renderModel(this.groundModel, new Matrix4(), new Matrix4(), viewProjection, shading);
+            }
+        });
+        this.viewport = { x: 0, width: this.frameBuffer.width };
+
+        if (multisample) {
+            this.resolveSamples();
+        }
+
+        if (this.outline.enabled) {
+            this.drawOutlines();
+        }
+
+        if (this.showDepthBuffer) {
+            this.drawDepthBuffer();
+        }
+
+        this.drawDebugOverlays(drawList, passes);
+
+        return { passes, selectionBounds };
+    }
+
+    setPassViewport(index, count) {
+        const passWidth = this.frameBuffer.width / count;
+        const x = Math.round(index * passWidth);
+        this.viewport = { x: x, width: Math.round((index + 1) * passWidth) - x };
+        return this.camera.getProjectionMatrix(this.viewport.width / this.frameBuffer.height)
+            .multiply(this.camera.getViewMatrix());
+    }
+
+    getDebugLines(drawList) {
+        const debug = this.debug;
+        const lines = [];
+        const addLine = (from, to, color, depthTest = true) => lines.push({ from, to, color, depthTest });
+
+        if (debug.grid) {
+            const extent = DEBUG_GRID_EXTENT;
+            for (let i = -extent; i <= extent; i++) {
+                addLine(new Point3D(i, 0, -extent), new Point3D(i, 0, extent), DEBUG_COLORS.grid);
+                addLine(new Point3D(-extent, 0, i), new Point3D(extent, 0, i), DEBUG_COLORS.grid);
+            }
+        }
+
+        if (debug.axes) {
+            const origin = new Point3D(0, 0, 0);
+            addLine(origin, new Point3D(DEBUG_AXIS_LENGTH, 0, 0), DEBUG_COLORS.axisX);
+            addLine(origin, new Point3D(0, DEBUG_AXIS_LENGTH, 0), DEBUG_COLORS.axisY);
+            addLine(origin, new Point3D(0, 0, DEBUG_AXIS_LENGTH), DEBUG_COLORS.axisZ);
+        }
+
+        if (debug.wireframe || debug.vertexNormals || debug.faceNormals) {
+            drawList.forEach(({ model, modelMatrix, rotationMatrix }) => {
+                const positions = model.vertices.map(vertex => modelMatrix.transformPoint(vertex.position));
+
+                if (debug.wireframe) {
+                    const edges = new Set();
+                    model.faces.forEach(face => face.vertexIndices.forEach((a, i) => {
+                        const b = face.vertexIndices[(i + 1) % face.vertexIndices.length];
+                        const key = Math.min(a, b) + ':' + Math.max(a, b);
+                        if (edges.has(key)) return;
+                        edges.add(key);
+                        addLine(positions[a], positions[b], DEBUG_COLORS.wireframe);
+                    }));
+                }
+
+                if (debug.vertexNormals) {
+                    model.vertices.forEach((vertex, index) => {
+                        const normal = rotationMatrix.transformDirection(vertex.normal).normalize();
+                        addLine(positions[index], positions[index].add(normal.multiply(DEBUG_NORMAL_LENGTH)), DEBUG_COLORS.vertexNormal);
+                    });
+                }
+
+                if (debug.faceNormals) {
+                    model.faces.forEach(face => {
+                        const [a, b, c] = face.vertexIndices.map(index => positions[index]);
+                        const normal = b.subtract(a).cross(c.subtract(a)).normalize();
+                        const centroid = face.vertexIndices
+                            .reduce((sum, index) => sum.add(positions[index]), new Point3D(0, 0, 0))
+                            .multiply(1 / face.vertexIndices.length);
+                        addLine(centroid, centroid.add(normal.multiply(DEBUG_NORMAL_LENGTH)), DEBUG_COLORS.faceNormal);
+                    });
+                }
+            });
+        }
+
+        if (debug.lightGizmo) {
+            const size = DEBUG_GIZMO_SIZE;
+            const offsets = [new Point3D(size, 0, 0), new Point3D(0, size, 0), new Point3D(0, 0, size)];
+            this.lights.forEach(light => {
+                offsets.forEach(offset => addLine(light.position.subtract(offset), light.position.add(offset), light.color, false));
+                if (light.type !== 'point') {
+                    addLine(light.position, light.target, light.color, false);
+                }
+            });
+        }
+        return lines;
+    }
+
+    drawDebugOverlays(drawList, passes) {
+        const lines = this.getDebugLines(drawList);
+        if (lines.length === 0) return;
+
+        passes.forEach((shading, index) => {
+            const viewProjection = this.setPassViewport(index, passes.length);
+            lines.forEach(line => this.drawDebugLine(line, viewProjection));
+        });
+        this.viewport = { x: 0, width: this.frameBuffer.width };
+    }
+
+    drawDebugLine(line, viewProjection) {
+        let a = viewProjection.transformHomogeneous(line.from);
+        let b = viewProjection.transformHomogeneous(line.to);
+        const lerp = (from, to, t) => ({
+            x: from.x + (to.x - from.x) * t,
+            y: from.y + (to.y - from.y) * t,
+            z: from.z + (to.z - from.z) * t,
+            w: from.w + (to.w - from.w) * t
+        });
+        for (const plane of CLIP_PLANES) {
+            const distanceA = plane(a), distanceB = plane(b);
+            if (distanceA < 0 && distanceB < 0) return;
+            if (distanceA < 0) {
+                a = lerp(a, b, distanceA / (distanceA - distanceB));
+            } else if (distanceB < 0) {
+                b = lerp(b, a, distanceB / (distanceB - distanceA));
+            }
+        }
+
+        const { width, height, data } = this.frameBuffer;
+        const viewport = this.viewport;
+        const toScreen = (clip) => ({
+            x: viewport.x + (clip.x / clip.w * 0.5 + 0.5) * viewport.width,
+            y: (0.5 - clip.y / clip.w * 0.5) * height,
+            invW: 1 / clip.w
+        });
+        const start = toScreen(a), end = toScreen(b);
+        const steps = Math.ceil(Math.max(Math.abs(end.x - start.x), Math.abs(end.y - start.y)));
+        const brush = Math.max(1, Math.round(this.renderScale));
+        const r = line.color.r * 255, g = line.color.g * 255, bl = line.color.b * 255;
+
+        for (let step = 0; step <= steps; step++) {
+            const t = steps > 0 ? step / steps : 0;
+            const px = Math.round(start.x + (end.x - start.x) * t) - (brush >> 1);
+            const py = Math.round(start.y + (end.y - start.y) * t) - (brush >> 1);
+            const depth = 1 / (start.invW + (end.invW - start.invW) * t);
+
+            for (let y = Math.max(py, 0); y < Math.min(py + brush, height); y++) {
+                for (let x = Math.max(px, viewport.x); x < Math.min(px + brush, viewport.x + viewport.width); x++) {
+                    const index = y * width + x;
+                    if (line.depthTest && depth > this.depthBuffer[index] * (1 + DEBUG_DEPTH_BIAS)) continue;
+                    data[index * 4] = r;
+                    data[index * 4 + 1] = g;
+                    data[index * 4 + 2] = bl;
+                    data[index * 4 + 3] = 255;
+                }
+            }
+        }
+    }
+
+    resolveSamples() {
+        const data = this.frameBuffer.data;
+        const samples = this.sampleColor;
+        const sampleCount = MSAA_SAMPLE_OFFSETS.length;
+        for (let pixel = 0, base = 0; pixel < data.length; pixel += 4, base += sampleCount * 4) {
+            let r = 0, g = 0, b = 0;
+            for (let s = 0; s < sampleCount * 4; s += 4) {
+                r += samples[base + s];
+                g += samples[base + s + 1];
+                b += samples[base + s + 2];
+            }
+            data[pixel] = r / sampleCount;
+            data[pixel + 1] = g / sampleCount;
+            data[pixel + 2] = b / sampleCount;
+            data[pixel + 3] = 255;
+        }
+    }
+
+    downsample(source, scale) {
+        const { width, height, data } = this.frameBuffer;
+        const sourceData = source.data;
+        const sourceWidth = source.width;
+        const count = scale * scale;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0;
+                for (let sy = 0; sy < scale; sy++) {
+                    let index = ((y * scale + sy) * sourceWidth + x * scale) * 4;
+                    for (let sx = 0; sx < scale; sx++, index += 4) {
+                        r += sourceData[index];
+                        g += sourceData[index + 1];
+                        b += sourceData[index + 2];
+                    }
+                }
+                const pixelIndex = (y * width + x) * 4;
+                data[pixelIndex] = r / count;
+                data[pixelIndex + 1] = g / count;
+                data[pixelIndex + 2] = b / count;
+                data[pixelIndex + 3] = 255;
+            }
+        }
+    }
+
+    applyFXAA() {
+        const { width, height, data } = this.frameBuffer;
+        const source = new Uint8ClampedArray(data);
+        const luma = new Float32Array(width * height);
+        for (let i = 0; i < luma.length; i++) {
+            luma[i] = (source[i * 4] * 0.299 + source[i * 4 + 1] * 0.587 + source[i * 4 + 2] * 0.114) / 255;
+        }
+
+        const maxSearch = 8;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const m = luma[i];
+                const n = luma[i - width], s = luma[i + width], e = luma[i + 1], w = luma[i - 1];
+                const maxLuma = Math.max(m, n, s, e, w);
+                const range = maxLuma - Math.min(m, n, s, e, w);
+                if (range < Math.max(0.0312, maxLuma * 0.125)) continue;
+
+                const nw = luma[i - width - 1], ne = luma[i - width + 1];
+                const sw = luma[i + width - 1], se = luma[i + width + 1];
+                const horizontal =
+                    Math.abs(n + s - 2 * m) * 2 + Math.abs(ne + se - 2 * e) + Math.abs(nw + sw - 2 * w) >=
+                    Math.abs(e + w - 2 * m) * 2 + Math.abs(ne + nw - 2 * n) + Math.abs(se + sw - 2 * s);
+
+                const before = horizontal ? n : w, after = horizontal ? s : e;
+                const positive = Math.abs(after - m) >= Math.abs(before - m);
+                const across = (horizontal ? width : 1) * (positive ? 1 : -1);
+                const along = horizontal ? 1 : width;
+                const edgeLuma = (m + (positive ? after : before)) / 2;
+                const threshold = Math.abs((positive ? after : before) - m) * 0.25;
+
+                const search = (direction) => {
+                    const limitX = horizontal ? (direction > 0 ? width - 1 - x : x) : Infinity;
+                    const limitY = horizontal ? Infinity : (direction > 0 ? height - 1 - y : y);
+                    const limit = Math.min(maxSearch, limitX, limitY);
+                    let step = 1;
+                    for (; step < limit; step++) {
+                        const j = i + along * step * direction;
+                        const delta = (luma[j] + luma[j + across]) / 2 - edgeLuma;
+                        if (Math.abs(delta) >= threshold) return { distance: step, delta };
+                    }
+                    return { distance: step, delta: 0 };
+                };
+                const forward = search(1), backward = search(-1);
+                const closest = forward.distance < backward.distance ? forward : backward;
+                const edgeBlend = (m - edgeLuma < 0) !== (closest.delta < 0) ?
+                    0.5 - closest.distance / (forward.distance + backward.distance) : 0;
+
+                const average = (2 * (n + s + e + w) + nw + ne + sw + se) / 12;
+                const subpixel = Math.min(Math.abs(average - m) / range, 1);
+                const subpixelBlend = Math.pow(subpixel * subpixel * (3 - 2 * subpixel), 2) * 0.75;
+
+                const blend = Math.max(edgeBlend, subpixelBlend);
+                const target = (i + across) * 4;
+                for (let c = 0; c < 3; c++) {
+                    data[i * 4 + c] = source[i * 4 + c] + (source[target + c] - source[i * 4 + c]) * blend;
+                }
+            }
+        }
+    }
+
+    renderToBuffer(width, height) {
+        const target = this.createRenderTarget(width, height);
+        this.withRenderTarget(target, width / this.frameBuffer.width, () => this.renderFrame());
+        return target.frameBuffer;
+    }
+
+    getScreenBounds(model, modelMatrix, viewProjection, renderScale) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const vertex of model.vertices) {
+            const clip = viewProjection.transformHomogeneous(modelMatrix.transformPoint(vertex.position));
+            if (clip.w <= 0) return null;
+            const x = this.viewport.x + (clip.x / clip.w * 0.5 + 0.5) * this.viewport.width;
+            const y = (0.5 - clip.y / clip.w * 0.5) * this.frameBuffer.height;
+            minX = Math.min(minX, x);
+            minY = Math.min(minY, y);
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+        }
+        return {
+            x: minX / renderScale - 2,
+            y: minY / renderScale - 2,
+            width: (maxX - minX) / renderScale + 4,
+            height: (maxY - minY) / renderScale + 4
+        };
+    }
+
+    getPickRay(x, y) {
+        const passes = this.shadingMode === 'compare' ? 3 : 1;
+        const passWidth = this.frameBuffer.width / passes;
+        const pass = Math.min(Math.floor(x / passWidth), passes - 1);
+        const viewportX = Math.round(pass * passWidth);
+        const viewportWidth = Math.round((pass + 1) * passWidth) - viewportX;
+
+        const ndcX = (x - viewportX) / viewportWidth * 2 - 1;
+        const ndcY = 1 - y / this.frameBuffer.height * 2;
+        const tanHalfFov = Math.tan(this.camera.fov * Math.PI / 360);
+        const aspect = viewportWidth / this.frameBuffer.height;
+
+        const forward = this.camera.target.subtract(this.camera.position).normalize();
+        const right = forward.cross(this.camera.up).normalize();
+        const up = right.cross(forward);
+        const direction = forward
+            .add(right.multiply(ndcX * tanHalfFov * aspect))
+            .add(up.multiply(ndcY * tanHalfFov))
+            .normalize();
+        return { origin: this.camera.position, direction };
+    }
+
+    pickObject(x, y) {
+        const { origin, direction } = this.getPickRay(x, y);
+        let closest = null, closestDistance = Infinity;
+
+        this.objects.forEach(node => {
+            const model = this.getRenderModel(node.modelKey);
+            const modelMatrix = node.getWorldMatrix();
+            const positions = model.vertices.map(vertex => modelMatrix.transformPoint(vertex.position));
+
+            model.faces.forEach(face => {
+                for (let i = 1; i < face.vertexIndices.length - 1; i++) {
+                    const p0 = positions[face.vertexIndices[0]];
+                    const edge1 = positions[face.vertexIndices[i]].subtract(p0);
+                    const edge2 = positions[face.vertexIndices[i + 1]].subtract(p0);
+                    const pvec = direction.cross(edge2);
+                    const det = edge1.dot(pvec);
+                    if (Math.abs(det) < 1e-9) continue;
+
+                    const tvec = origin.subtract(p0);
+                    const u = tvec.dot(pvec) / det;
+                    if (u < 0 || u > 1) continue;
+                    const qvec = tvec.cross(edge1);
+                    const v = direction.dot(qvec) / det;
+                    if (v < 0 || u + v > 1) continue;
+
+                    const distance = edge2.dot(qvec) / det;
+                    if (distance > this.camera.near && distance < closestDistance) {
+                        closestDistance = distance;
+                        closest = node;
+                    }
+                }
+            });
+        });
+        return closest;
+    }
+
+    renderModel(model, modelMatrix, rotationMatrix, viewProjection, shading) {
+        const transformedVertices = model.vertices.map((vertex) => ({
+            position: modelMatrix.transformPoint(vertex.position),
+            normal: rotationMatrix.transformDirection(vertex.normal)
+        }));
+        
+        const clipVertices = transformedVertices.map(vertex => viewProjection.transformHomogeneous(vertex.position));
+        
+        const vertexColors = shading === 'gouraud' ?
+            transformedVertices.map(vertex => this.shadeVertex(vertex.position, vertex.normal)) : null;
+
+        let backVertices = null, backColors = null;
+        const getBackVertices = () => {
+            if (!backVertices) {
+                backVertices = transformedVertices.map(vertex => ({ position: vertex.position, normal: vertex.normal.multiply(-1) }));
+                backColors = shading === 'gouraud' ?
+                    backVertices.map(vertex => this.shadeVertex(vertex.position, vertex.normal)) : null;
+            }
+            return backVertices;
+        };
+        
+        model.faces.forEach(face => {
+            if (face.vertexIndices.length >= 3) {
+                const pos1 = transformedVertices[face.vertexIndices[0]].position;
+                const pos2 = transformedVertices[face.vertexIndices[1]].position;
+                const pos3 = transformedVertices[face.vertexIndices[2]].position;
+                
+                const edge1 = pos2.subtract(pos1);
+                const edge2 = pos3.subtract(pos1);
+                const normal = edge1.cross(edge2);
+                
+                const cameraPos = this.camera.position;
+                const toCamera = cameraPos.subtract(pos1);
+                
+                const frontFacing = normal.dot(toCamera) > 0;
+                if (frontFacing || !this.backfaceCulling) {
+                    const vertices = frontFacing ? transformedVertices : getBackVertices();
+                    const tangentFrame = {
+                        tangent: rotationMatrix.transformDirection(face.tangent),
+                        bitangent: rotationMatrix.transformDirection(face.bitangent)
+                    };
+
+                    let colors = frontFacing ? vertexColors : backColors;
+                    if (shading === 'flat') {
+                        const centroid = face.vertexIndices
+                            .reduce((sum, idx) => sum.add(transformedVertices[idx].position), new Point3D(0, 0, 0))
+                            .multiply(1 / face.vertexIndices.length);
+                        const faceColor = this.shadeVertex(centroid, normal.normalize().multiply(frontFacing ? 1 : -1));
+                        colors = {};
+                        face.vertexIndices.forEach(idx => colors[idx] = faceColor);
+                    }
+
+                    for (let i = 1; i < face.vertexIndices.length - 1; i++) {
+                        this._renderTriangle(face.vertexIndices[0], face.vertexIndices[i], face.vertexIndices[i + 1], face.texCoords[0], face.texCoords[i], face.texCoords[i + 1], vertices, clipVertices, colors, tangentFrame);
+                    }
+                } else {
+                    this.clipStats.culled += face.vertexIndices.length - 2;
+                }
+            }
+        });
+    }
+
+    shadeVertex(position, normal) {
+        const viewDir = this.camera.position.subtract(position);
+        if (!this.shadow.enabled) {
+            return this.calculateLighting(normal, position, viewDir);
+        }
+        const color = this.calculateLighting(normal, position, viewDir, 1);
+        color.shadowColor = this.calculateLighting(normal, position, viewDir, 0);
+        return color;
+    }
+
+    getLightMatrices(light) {
+        const forward = light.target.subtract(light.position).normalize();
+        const up = Math.abs(forward.y) > 0.99 ? new Point3D(0, 0, 1) : new Point3D(0, 1, 0);
+
+        if (light.type === 'directional') {
+            const eye = light.target.subtract(forward.multiply(20));
+            return {
+                view: Matrix4.lookAt(eye, light.target, up),
+                projection: Matrix4.orthographic(-6, 6, -6, 6, 1, 50)
+            };
+        }
+
+        const fov = light.type === 'spot' ? Math.min(light.spotAngle * 2 + 10, 150) : 120;
+        return {
+            view: Matrix4.lookAt(light.position, light.target, up),
+            projection: Matrix4.perspective(fov * Math.PI / 180, 1, 0.1, 50)
+        };
+    }
+
+    renderShadowMap(casters) {
+        const shadow = this.shadow;
+        const size = shadow.resolution;
+        if (!shadow.map || shadow.map.length !== size * size) {
+            shadow.map = new Float32Array(size * size);
+        }
+        shadow.map.fill(Infinity);
+
+        const { view, projection } = this.getLightMatrices(this.lights[0]);
+        shadow.viewMatrix = view;
+        shadow.viewProjection = projection.multiply(view);
+
+        casters.forEach(({ model, modelMatrix }) => {
+            const points = model.vertices.map(vertex => {
+                const world = modelMatrix.transformPoint(vertex.position);
+                const clip = shadow.viewProjection.transformHomogeneous(world);
+                return {
+                    x: (clip.x / clip.w * 0.5 + 0.5) * size,
+                    y: (0.5 - clip.y / clip.w * 0.5) * size,
+                    w: clip.w,
+                    depth: -view.transformPoint(world).z
+                };
+            });
+
+            model.faces.forEach(face => {
+                for (let i = 1; i < face.vertexIndices.length - 1; i++) {
+                    const p1 = points[face.vertexIndices[0]];
+                    const p2 = points[face.vertexIndices[i]];
+                    const p3 = points[face.vertexIndices[i + 1]];
+                    if (p1.w <= 0 || p2.w <= 0 || p3.w <= 0) continue;
+                    this.rasterizeShadowTriangle(p1, p2, p3, size);
+                }
+            });
+        });
+    }
+
+    rasterizeShadowTriangle(p1, p2, p3, size) {
+        const minX = Math.max(0, Math.floor(Math.min(p1.x, p2.x, p3.x)));
+        const maxX = Math.min(size - 1, Math.ceil(Math.max(p1.x, p2.x, p3.x)));
+        const minY = Math.max(0, Math.floor(Math.min(p1.y, p2.y, p3.y)));
+        const maxY = Math.min(size - 1, Math.ceil(Math.max(p1.y, p2.y, p3.y)));
+
+        const denom = (p2.y - p3.y) * (p1.x - p3.x) + (p3.x - p2.x) * (p1.y - p3.y);
+        if (Math.abs(denom) < 0.0001) return;
+
+        const map = this.shadow.map;
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const lambda1 = ((p2.y - p3.y) * (x - p3.x) + (p3.x - p2.x) * (y - p3.y)) / denom;
+                const lambda2 = ((p3.y - p1.y) * (x - p3.x) + (p1.x - p3.x) * (y - p3.y)) / denom;
+                const lambda3 = 1 - lambda1 - lambda2;
+                if (lambda1 < -0.001 || lambda2 < -0.001 || lambda3 < -0.001) continue;
+
+                const invW1 = lambda1 / p1.w, invW2 = lambda2 / p2.w, invW3 = lambda3 / p3.w;
+                const depth = (invW1 * p1.depth + invW2 * p2.depth + invW3 * p3.depth) / (invW1 + invW2 + invW3);
+                const index = y * size + x;
+                if (depth < map[index]) {
+                    map[index] = depth;
+                }
+            }
+        }
+    }
+
+    getShadowVisibility(position) {
+        const shadow = this.shadow;
+        if (!shadow.enabled || !shadow.viewProjection) return 1;
+
+        const clip = shadow.viewProjection.transformHomogeneous(position);
+        if (clip.w <= 0) return 1;
+
+        const size = shadow.resolution;
+        const centerX = Math.floor((clip.x / clip.w * 0.5 + 0.5) * size);
+        const centerY = Math.floor((0.5 - clip.y / clip.w * 0.5) * size);
+        const depth = -shadow.viewMatrix.transformPoint(position).z - shadow.bias;
+        const radius = shadow.pcfRadius;
+
+        let lit = 0, total = 0;
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                const x = centerX + dx, y = centerY + dy;
+                total++;
+                if (x < 0 || y < 0 || x >= size || y >= size || depth <= shadow.map[y * size + x]) {
+                    lit++;
+                }
+            }
+        }
+        return lit / total;
+    }
+
+    drawOutlines() {
+        const { width, height } = this.frameBuffer;
+        const depth = this.depthBuffer, normals = this.normalBuffer;
+        const creaseCos = Math.cos(this.outline.creaseAngle * Math.PI / 180);
+        const edges = new Uint8Array(width * height);
+
+        const markEdge = (a, b) => {
+            const depthA = depth[a], depthB = depth[b];
+            if (depthA === Infinity && depthB === Infinity) return;
+
+            let isEdge = depthA === Infinity || depthB === Infinity ||
+                Math.abs(depthA - depthB) / Math.min(depthA, depthB) > 0.02;
+            if (!isEdge) {
+                const dot = normals[a * 3] * normals[b * 3] +
+                    normals[a * 3 + 1] * normals[b * 3 + 1] +
+                    normals[a * 3 + 2] * normals[b * 3 + 2];
+                isEdge = dot < creaseCos;
+            }
+            if (isEdge) {
+                edges[depthA <= depthB ? a : b] = 1;
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const index = y * width + x;
+                if (x + 1 < width) markEdge(index, index + 1);
+                if (y + 1 < height) markEdge(index, index + width);
+            }
+        }
+
+        const radius = Math.max(1, Math.round(this.outline.thickness * this.renderScale)) - 1;
+        const data = this.frameBuffer.data;
+        const r = this.outline.color.r * 255, g = this.outline.color.g * 255, b = this.outline.color.b * 255;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!edges[y * width + x]) continue;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const py = y + dy;
+                    if (py < 0 || py >= height) continue;
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const px = x + dx;
+                        if (px < 0 || px >= width) continue;
+                        const pixelIndex = (py * width + px) * 4;
+                        data[pixelIndex] = r;
+                        data[pixelIndex + 1] = g;
+                        data[pixelIndex + 2] = b;
+                        data[pixelIndex + 3] = 255;
+                    }
+                }
+            }
+        }
+    }
+
+    drawDepthBuffer() {
+        let minDepth = Infinity, maxDepth = -Infinity;
+        for (let i = 0; i < this.depthBuffer.length; i++) {
+            const depth = this.depthBuffer[i];
+            if (depth === Infinity) continue;
+            if (depth < minDepth) minDepth = depth;
+            if (depth > maxDepth) maxDepth = depth;
+        }
+        const range = maxDepth - minDepth || 1;
+
+        const data = this.frameBuffer.data;
+        for (let i = 0; i < this.depthBuffer.length; i++) {
+            const depth = this.depthBuffer[i];
+            const gray = depth === Infinity ? 0 : 255 - Math.floor(215 * (depth - minDepth) / range);
+            data[i * 4] = gray;
+            data[i * 4 + 1] = gray;
+            data[i * 4 + 2] = gray;
+            data[i * 4 + 3] = 255;
+        }
+    }
+
+    _renderTriangle(i1, i2, i3, tc1, tc2, tc3, transformedVertices, clipVertices, vertexColors, tangentFrame) {
+        const polygon = [[i1, tc1], [i2, tc2], [i3, tc3]].map(([index, texCoord]) => ({
+            ...transformedVertices[index],
+            clip: clipVertices[index],
+            color: vertexColors ? vertexColors[index] : null,
+            texCoord: texCoord
+        }));
+
+        const clipped = this.clipPolygon(polygon);
+        if (clipped.length < 3) {
+            this.clipStats.culled++;
+            return;
+        }
+        if (clipped !== polygon) {
+            this.clipStats.clipped++;
+        }
+
+        const screen = clipped.map(vertex => ({
+            x: this.viewport.x + (vertex.clip.x / vertex.clip.w * 0.5 + 0.5) * this.viewport.width,
+            y: (0.5 - vertex.clip.y / vertex.clip.w * 0.5) * this.frameBuffer.height,
+            w: vertex.clip.w
+        }));
+        
+        for (let i = 1; i < clipped.length - 1; i++) {
+            this.drawTriangle(
+                clipped[0], clipped[i], clipped[i + 1],
+                screen[0], screen[i], screen[i + 1],
+                clipped[0].texCoord, clipped[i].texCoord, clipped[i + 1].texCoord,
+                tangentFrame
+            );
+        }
+    }
+
+    clipPolygon(polygon) {
+        if (polygon.every(vertex => CLIP_PLANES.every(plane => plane(vertex.clip) >= 0))) {
+            return polygon;
+        }
+
+        let output = polygon;
+        for (const plane of CLIP_PLANES) {
+            const input = output;
+            output = [];
+            for (let i = 0; i < input.length; i++) {
+                const current = input[i];
+                const next = input[(i + 1) % input.length];
+                const currentDistance = plane(current.clip);
+                const nextDistance = plane(next.clip);
+                if (currentDistance >= 0) {
+                    output.push(current);
+                }
+                if ((currentDistance >= 0) !== (nextDistance >= 0)) {
+                    output.push(this.lerpClipVertex(current, next, currentDistance / (currentDistance - nextDistance)));
+                }
+            }
+            if (output.length === 0) break;
+        }
+        return output;
+    }
+
+    lerpClipVertex(a, b, t) {
+        const lerp = (x, y) => x + (y - x) * t;
+        return {
+            clip: {
+                x: lerp(a.clip.x, b.clip.x),
+                y: lerp(a.clip.y, b.clip.y),
+                z: lerp(a.clip.z, b.clip.z),
+                w: lerp(a.clip.w, b.clip.w)
+            },
+            position: a.position.add(b.position.subtract(a.position).multiply(t)),
+            normal: a.normal.add(b.normal.subtract(a.normal).multiply(t)),
+            color: a.color && b.color ? {
+                r: lerp(a.color.r, b.color.r),
+                g: lerp(a.color.g, b.color.g),
+                b: lerp(a.color.b, b.color.b),
+                shadowColor: a.color.shadowColor && b.color.shadowColor ? {
+                    r: lerp(a.color.shadowColor.r, b.color.shadowColor.r),
+                    g: lerp(a.color.shadowColor.g, b.color.shadowColor.g),
+                    b: lerp(a.color.shadowColor.b, b.color.shadowColor.b)
+                } : null
+            } : null,
+            texCoord: a.texCoord && b.texCoord ? {
+                u: lerp(a.texCoord.u, b.texCoord.u),
+                v: lerp(a.texCoord.v, b.texCoord.v)
+            } : a.texCoord
+        };
+    }
+}
@@ -0,0 +1,345 @@
+import { Point3D, Matrix4, MAX_CAMERA_PITCH } from './math.js';
+import { Material, LIGHTING_MODEL_NAMES } from './materials.js';
+import { Vertex, PROCEDURAL_MESHES, Model3D } from './geometry.js';
+
+export const SCENE_FORMAT_NAME = 'compgraphic-scene';
+
+export const SCENE_FORMAT_VERSION = 1;
+
+const BUILT_IN_MODELS = ['cube', 'tetrahedron', 'octahedron'];
+
+export const SCENE_SCHEMA = (() => {
+    const number = (min = -Infinity, max = Infinity) => ({ type: 'number', min, max });
+    const integer = (min = -Infinity, max = Infinity) => ({ type: 'integer', min, max });
+    const boolean = { type: 'boolean' };
+    const color = { type: 'color' };
+    const vector = { type: 'vector' };
+    const oneOf = (...values) => ({ type: 'enum', values });
+    const object = (properties, optional = [], closed = false) => ({ type: 'object', properties, optional, closed });
+    const array = (items, minLength = 0) => ({ type: 'array', items, minLength });
+    const image = { type: 'dataUrl', nullable: true };
+
+    const meshParams = {};
+    Object.entries(PROCEDURAL_MESHES).forEach(([key, params]) => {
+        const properties = {};
+        Object.entries(params).forEach(([name, param]) => {
+            properties[name] = Number.isInteger(param.step) ? integer(param.min, param.max) : number(param.min, param.max);
+        });
+        meshParams[key] = object(properties, [], true);
+    });
+
+    return object({
+        format: oneOf(SCENE_FORMAT_NAME),
+        version: integer(1, SCENE_FORMAT_VERSION),
+        render: object({
+            shadingMode: oneOf('flat', 'gouraud', 'phong', 'compare'),
+            lightingModel: oneOf(...Object.keys(LIGHTING_MODEL_NAMES)),
+            interpolationMode: oneOf('perspective', 'affine', 'split'),
+            textureFilter: oneOf('nearest', 'bilinear', 'trilinear'),
+            subdivisionLevel: integer(0, 3),
+            showDepthBuffer: boolean,
+            antialiasing: oneOf('none', 'ssaa2', 'ssaa4', 'msaa4'),
+            fxaa: boolean,
+            backfaceCulling: boolean
+        }, ['antialiasing', 'fxaa', 'backfaceCulling']),
+        toon: object({
+            enabled: boolean,
+            bands: integer(2, 8),
+            outline: object({
+                enabled: boolean,
+                thickness: integer(1, 5),
+                color,
+                creaseAngle: number(10, 90)
+            })
+        }),
+        lights: array(object({
+            type: oneOf('directional', 'point', 'spot'),
+            position: vector,
+            target: vector,
+            color,
+            intensity: number(0),
+            constant: number(0),
+            linear: number(0),
+            quadratic: number(0),
+            spotAngle: number(1, 90)
+        }), 1),
+        camera: object({
+            target: vector,
+            distance: number(1.5, 50),
+            yaw: number(),
+            pitch: number(-MAX_CAMERA_PITCH, MAX_CAMERA_PITCH),
+            fov: number(1, 179),
+            near: number(0.001),
+            far: number(0.01)
+        }),
+        ground: object({ enabled: boolean }),
+        shadow: object({
+            enabled: boolean,
+            resolution: oneOf(256, 512, 1024, 2048),
+            bias: number(0),
+            pcfRadius: integer(0, 3)
+        }),
+        normalMap: object({
+            enabled: boolean,
+            type: oneOf('normal', 'height'),
+            strength: number(0),
+            image
+        }, ['image']),
+        meshParams: object(meshParams, Object.keys(meshParams), true),
+        meshes: { type: 'map', keyPrefix: 'obj:', values: object({
+            positions: array(number()),
+            normals: array(number()),
+            faces: array(object({
+                indices: array(integer(0), 3),
+                texCoords: array(number())
+            }))
+        }) },
+        objects: array(object({
+            name: { type: 'string' },
+            model: { type: 'string' },
+            parent: integer(-1),
+            translation: vector,
+            rotation: vector,
+            scale: number(0.01),
+            material: object({
+                color,
+                ambient: number(0, 1),
+                specularColor: color,
+                specularIntensity: number(0),
+                shininess: number(1),
+                metallic: number(0, 1),
+                roughness: number(0, 1)
+            }),
+            textured: boolean,
+            wrapMode: oneOf('repeat', 'mirror', 'clamp'),
+            texture: image
+        }, ['texture']), 1),
+        selectedObject: integer(0)
+    }, ['meshParams', 'meshes', 'selectedObject']);
+})();
+
+export class SceneFormat {
+    static validate(value, schema = SCENE_SCHEMA, path = 'scene') {
+        const fail = (expected) => {
+            throw new Error(`Invalid scene: ${path} must be ${expected}`);
+        };
+
+        if (schema.nullable && value === null) return;
+        switch (schema.type) {
+            case 'number':
+            case 'integer': {
+                const range = schema.min > -Infinity && schema.max < Infinity ? ` between ${schema.min} and ${schema.max}` :
+                    schema.min > -Infinity ? ` of at least ${schema.min}` : '';
+                const kind = schema.type === 'integer' ? 'an integer' : 'a number';
+                if (typeof value !== 'number' || !Number.isFinite(value) ||
+                    (schema.type === 'integer' && !Number.isInteger(value)) ||
+                    value < schema.min || value > schema.max) {
+                    fail(kind + range);
+                }
+                break;
+            }
+            case 'boolean':
+            case 'string':
+                if (typeof value !== schema.type) fail('a ' + schema.type);
+                break;
+            case 'enum':
+                if (!schema.values.includes(value)) fail('one of ' + schema.values.map(v => JSON.stringify(v)).join(', '));
+                break;
+            case 'color':
+                if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) fail('a hex colour like "#ff8800"');
+                break;
+            case 'vector':
+                if (!Array.isArray(value) || value.length !== 3 || !value.every(Number.isFinite)) fail('an array of three numbers');
+                break;
+            case 'dataUrl':
+                if (typeof value !== 'string' || !/^data:image\/[\w+.-]+;base64,/.test(value)) fail('an image data URL or null');
+                break;
+            case 'array':
+                if (!Array.isArray(value)) fail('an array');
+                if (value.length < schema.minLength) fail(`an array with at least ${schema.minLength} item(s)`);
+                value.forEach((item, index) => SceneFormat.validate(item, schema.items, `${path}[${index}]`));
+                break;
+            case 'map':
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) fail('an object');
+                Object.keys(value).forEach(key => {
+                    if (schema.keyPrefix && !key.startsWith(schema.keyPrefix)) {
+                        throw new Error(`Invalid scene: ${path}["${key}"] must have a key starting with "${schema.keyPrefix}"`);
+                    }
+                    SceneFormat.validate(value[key], schema.values, `${path}["${key}"]`);
+                });
+                break;
+            case 'object':
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) fail('an object');
+                if (schema.closed) {
+                    Object.keys(value).forEach(key => {
+                        if (!Object.hasOwn(schema.properties, key)) {
+                            throw new Error(`Invalid scene: ${path}.${key} is not a known property`);
+                        }
+                    });
+                }
+                Object.keys(schema.properties).forEach(key => {
+                    if (value[key] === undefined) {
+                        if (!schema.optional.includes(key)) {
+                            throw new Error(`Invalid scene: ${path}.${key} is missing`);
+                        }
+                        return;
+                    }
+                    SceneFormat.validate(value[key], schema.properties[key], `${path}.${key}`);
+                });
+                break;
+        }
+    }
+
+    static parse(text) {
+        let scene;
+        try {
+            scene = JSON.parse(text);
+        } catch (error) {
+            throw new Error('Scene file is not valid JSON: ' + error.message);
+        }
+        if (scene && typeof scene === 'object' && scene.format === SCENE_FORMAT_NAME &&
+            Number.isInteger(scene.version) && scene.version > SCENE_FORMAT_VERSION) {
+            throw new Error(`Scene version ${scene.version} is newer than the supported version ${SCENE_FORMAT_VERSION}`);
+        }
+        SceneFormat.validate(scene);
+
+        scene.objects.forEach((object, index) => {
+            if (!BUILT_IN_MODELS.includes(object.model) && !Object.hasOwn(PROCEDURAL_MESHES, object.model) &&
+                !object.model.startsWith('obj:')) {
+                throw new Error(`Invalid scene: scene.objects[${index}].model "${object.model}" is not a known model`);
+            }
+            if (object.parent >= scene.objects.length || object.parent === index) {
+                throw new Error(`Invalid scene: scene.objects[${index}].parent does not refer to another object`);
+            }
+            const visited = new Set([index]);
+            for (let parent = object.parent; parent >= 0; parent = scene.objects[parent].parent) {
+                if (visited.has(parent)) {
+                    throw new Error(`Invalid scene: scene.objects[${index}] is part of a parent cycle`);
+                }
+                visited.add(parent);
+            }
+        });
+        if (scene.camera.far <= scene.camera.near) {
+            throw new Error('Invalid scene: scene.camera.far must be greater than scene.camera.near');
+        }
+        if (scene.selectedObject !== undefined && scene.selectedObject >= scene.objects.length) {
+            throw new Error('Invalid scene: scene.selectedObject is out of range');
+        }
+        Object.entries(scene.meshes || {}).forEach(([key, mesh]) => {
+            const vertexCount = mesh.positions.length / 3;
+            if (!Number.isInteger(vertexCount) || mesh.normals.length !== mesh.positions.length) {
+                throw new Error(`Invalid scene: scene.meshes["${key}"] positions and normals must be matching xyz triples`);
+            }
+            mesh.faces.forEach((face, index) => {
+                if (face.indices.some(vertex => vertex >= vertexCount)) {
+                    throw new Error(`Invalid scene: scene.meshes["${key}"].faces[${index}] refers to a missing vertex`);
+                }
+                if (face.texCoords.length > 0 && face.texCoords.length !== face.indices.length * 2) {
+                    throw new Error(`Invalid scene: scene.meshes["${key}"].faces[${index}].texCoords must be empty or hold one uv pair per index`);
+                }
+            });
+        });
+        return scene;
+    }
+
+    static encodeHash(scene) {
+        const json = JSON.stringify(scene, (key, value) =>
+            typeof value === 'number' ? Math.trunc(value * 1e4) / 1e4 : value);
+        const bytes = new TextEncoder().encode(json);
+        let binary = '';
+        bytes.forEach(byte => binary += String.fromCharCode(byte));
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static decodeHash(hash) {
+        let binary;
+        try {
+            binary = atob(hash.replace(/-/g, '+').replace(/_/g, '/'));
+        } catch (error) {
+            throw new Error('Scene link is not valid base64');
+        }
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        return SceneFormat.parse(new TextDecoder().decode(bytes));
+    }
+
+    static meshToJSON(model) {
+        return {
+            positions: model.vertices.flatMap(vertex => [vertex.position.x, vertex.position.y, vertex.position.z]),
+            normals: model.vertices.flatMap(vertex => [vertex.normal.x, vertex.normal.y, vertex.normal.z]),
+            faces: model.faces.map(face => ({
+                indices: face.vertexIndices,
+                texCoords: face.texCoords.flatMap(t => [t.u, t.v])
+            }))
+        };
+    }
+
+    static meshFromJSON(mesh) {
+        const vertices = [];
+        for (let i = 0; i < mesh.positions.length; i += 3) {
+            const vertex = new Vertex(new Point3D(mesh.positions[i], mesh.positions[i + 1], mesh.positions[i + 2]));
+            vertex.normal = new Point3D(mesh.normals[i], mesh.normals[i + 1], mesh.normals[i + 2]);
+            vertices.push(vertex);
+        }
+        const faces = mesh.faces.map(face => ({
+            indices: face.indices,
+            texCoords: face.indices.map((_, i) => face.texCoords.length > 0 ?
+                { u: face.texCoords[i * 2], v: face.texCoords[i * 2 + 1] } : { u: 0, v: 0 })
+        }));
+        return new Model3D(vertices, faces, true);
+    }
+}
+
+export class SceneNode {
+    constructor(name, modelKey) {
+        this.name = name;
+        this.modelKey = modelKey;
+        this.translation = { x: 0, y: 0, z: 0 };
+        this.rotation = { x: 0, y: 0, z: 0 };
+        this.scale = 1.0;
+        this.material = new Material();
+        this.texture = null;
+        this.textured = false;
+        this.wrapMode = 'repeat';
+        this.parent = null;
+        this.children = [];
+    }
+
+    setParent(parent) {
+        if (this.parent) {
+            this.parent.children.splice(this.parent.children.indexOf(this), 1);
+        }
+        this.parent = parent;
+        if (parent) {
+            parent.children.push(this);
+        }
+    }
+
+    isAncestorOf(node) {
+        for (let current = node.parent; current; current = current.parent) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    getRotationMatrix() {
+        return Matrix4.rotationZ(this.rotation.z)
+            .multiply(Matrix4.rotationY(this.rotation.y))
+            .multiply(Matrix4.rotationX(this.rotation.x));
+    }
+
+    getLocalMatrix() {
+        return Matrix4.translation(this.translation.x, this.translation.y, this.translation.z)
+            .multiply(this.getRotationMatrix())
+            .multiply(Matrix4.scaling(this.scale));
+    }
+
+    getWorldMatrix() {
+        const local = this.getLocalMatrix();
+        return this.parent ? this.parent.getWorldMatrix().multiply(local) : local;
+    }
+
+    getWorldRotationMatrix() {
+        const local = this.getRotationMatrix();
+        return this.parent ? this.parent.getWorldRotationMatrix().multiply(local) : local;
+    }
+}
@@ -0,0 +1,159 @@
+export const EASING_FUNCTIONS = {
+    'linear': t => t,
+    'ease': t => t * t * (3 - 2 * t)
+};
+
+export const NODE_TRACKS = [
+    'translation.x', 'translation.y', 'translation.z',
+    'rotation.x', 'rotation.y', 'rotation.z',
+    'scale',
+    'material.ambient', 'material.specularIntensity', 'material.shininess', 'material.metallic', 'material.roughness'
+];
+export const LIGHT_TRACKS = ['position.x', 'position.y', 'position.z'];
+
+const ORBIT_STEPS = 24;
+const KEYFRAME_EPSILON = 1e-3;
+
+function getPath(target, path) {
+    return path.split('.').reduce((value, key) => value[key], target);
+}
+
+function setPath(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    keys.reduce((object, key) => object[key], target)[last] = value;
+}
+
+export class Timeline {
+    constructor() {
+        this.tracks = [];
+        this.time = 0;
+        this.duration = 4;
+        this.playing = false;
+        this.loop = true;
+    }
+
+    getTrack(target, property) {
+        let track = this.tracks.find(entry => entry.target === target && entry.property === property);
+        if (!track) {
+            track = { target, property, keyframes: [] };
+            this.tracks.push(track);
+        }
+        return track;
+    }
+
+    setKeyframe(target, property, time, value, easing = 'linear') {
+        const keyframes = this.getTrack(target, property).keyframes;
+        const existing = keyframes.find(keyframe => Math.abs(keyframe.time - time) < KEYFRAME_EPSILON);
+        if (existing) {
+            existing.value = value;
+            existing.easing = easing;
+        } else {
+            keyframes.push({ time, value, easing });
+            keyframes.sort((a, b) => a.time - b.time);
+        }
+    }
+
+    recordKeyframe(target, properties, time, easing) {
+        properties.forEach(property => this.setKeyframe(target, property, time, getPath(target, property), easing));
+    }
+
+    removeKeyframesAt(time) {
+        this.tracks.forEach(track => {
+            track.keyframes = track.keyframes.filter(keyframe => Math.abs(keyframe.time - time) >= KEYFRAME_EPSILON);
+        });
+        this.tracks = this.tracks.filter(track => track.keyframes.length > 0);
+    }
+
+    removeTrack(target, property) {
+        this.tracks = this.tracks.filter(track => track.target !== target || track.property !== property);
+    }
+
+    removeTarget(target) {
+        this.tracks = this.tracks.filter(track => track.target !== target);
+    }
+
+    clear() {
+        this.tracks = [];
+        this.time = 0;
+        this.playing = false;
+    }
+
+    getKeyframeTimes() {
+        const times = [];
+        this.tracks.forEach(track => track.keyframes.forEach(keyframe => {
+            if (!times.some(time => Math.abs(time - keyframe.time) < KEYFRAME_EPSILON)) {
+                times.push(keyframe.time);
+            }
+        }));
+        return times.sort((a, b) => a - b);
+    }
+
+    sample(keyframes, time) {
+        const first = keyframes[0], last = keyframes[keyframes.length - 1];
+        if (time <= first.time) return first.value;
+        if (time >= last.time) return last.value;
+
+        let index = 0;
+        while (keyframes[index + 1].time < time) index++;
+        const from = keyframes[index], to = keyframes[index + 1];
+        const t = EASING_FUNCTIONS[from.easing]((time - from.time) / (to.time - from.time));
+        return from.value + (to.value - from.value) * t;
+    }
+
+    apply() {
+        this.tracks.forEach(track => {
+            if (track.keyframes.length > 0) {
+                setPath(track.target, track.property, this.sample(track.keyframes, this.time));
+            }
+        });
+    }
+
+    seek(time) {
+        this.time = Math.min(Math.max(time, 0), this.duration);
+        this.apply();
+    }
+
+    advance(elapsed) {
+        let time = this.time + elapsed;
+        if (time > this.duration) {
+            if (this.loop) {
+                time %= this.duration;
+            } else {
+                time = this.duration;
+                this.playing = false;
+            }
+        }
+        this.seek(time);
+    }
+
+    addPreset(name, node, light) {
+        const end = this.duration;
+        if (name === 'rotate') {
+            const start = node.rotation.y;
+            this.removeTrack(node, 'rotation.y');
+            this.setKeyframe(node, 'rotation.y', 0, start);
+            this.setKeyframe(node, 'rotation.y', end, start + Math.PI * 2);
+        } else if (name === 'orbit') {
+            const { x, z } = light.position;
+            const radius = Math.hypot(x, z) || 3;
+            const startAngle = Math.atan2(z, x);
+            this.removeTrack(light, 'position.x');
+            this.removeTrack(light, 'position.z');
+            for (let step = 0; step <= ORBIT_STEPS; step++) {
+                const angle = startAngle + step / ORBIT_STEPS * Math.PI * 2;
+                const time = step / ORBIT_STEPS * end;
+                this.setKeyframe(light, 'position.x', time, Math.cos(angle) * radius);
+                this.setKeyframe(light, 'position.z', time, Math.sin(angle) * radius);
+            }
+        } else if (name === 'bounce') {
+            const start = node.translation.y;
+            this.removeTrack(node, 'translation.y');
+            this.setKeyframe(node, 'translation.y', 0, start, 'ease');
+            this.setKeyframe(node, 'translation.y', end / 2, start + 1, 'ease');
+            this.setKeyframe(node, 'translation.y', end, start, 'ease');
+        } else {
+            throw new Error('Unknown timeline preset ' + name);
+        }
+    }
+}
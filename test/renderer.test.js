@@ -0,0 +1,67 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { Renderer } from '../src/renderer.js';
+import { SceneFormat } from '../src/scene.js';
+
+const WIDTH = 32;
+const HEIGHT = 24;
+const TOLERANCE = 3;
+const MODELS = ['cube', 'tetrahedron', 'octahedron', 'sphere', 'torus', 'cylinder', 'cone', 'plane'];
+const SHADING_MODES = ['flat', 'gouraud', 'phong'];
+const REFERENCE_FILE = new URL('./references.json', import.meta.url);
+const SCENE_FILE = new URL('./scene.json', import.meta.url);
+const updateReferences = process.env.UPDATE_REFERENCES === '1';
+
+const references = updateReferences ? {} : JSON.parse(readFileSync(REFERENCE_FILE, 'utf8'));
+
+function renderReference(model, shadingMode) {
+    const renderer = new Renderer(WIDTH, HEIGHT);
+    renderer.objects[0].modelKey = model;
+    renderer.shadingMode = shadingMode;
+    renderer.renderFrame();
+    return renderer.frameBuffer.data;
+}
+
+function findMismatch(actual, expected) {
+    for (let i = 0; i < expected.length; i++) {
+        if (Math.abs(actual[i] - expected[i]) > TOLERANCE) {
+            const pixel = Math.floor(i / 4);
+            return `pixel (${pixel % WIDTH}, ${Math.floor(pixel / WIDTH)}) channel ${i % 4}: ${actual[i]} != ${expected[i]}`;
+        }
+    }
+    return null;
+}
+
+function checkReference(key, actual) {
+    if (updateReferences) {
+        references[key] = Buffer.from(actual).toString('base64');
+        return;
+    }
+    assert.ok(references[key], `missing reference for ${key}`);
+    const expected = Buffer.from(references[key], 'base64');
+    assert.equal(actual.length, expected.length);
+    assert.equal(findMismatch(actual, expected), null);
+}
+
+MODELS.forEach(model => {
+    SHADING_MODES.forEach(shadingMode => {
+        test(`renders ${model} with ${shadingMode} shading`, () => {
+            checkReference(`${model}/${shadingMode}`, renderReference(model, shadingMode));
+        });
+    });
+});
+
+test('renders a parsed scene with a textured JSON mesh and procedural mesh params', () => {
+    const renderer = new Renderer(WIDTH, HEIGHT);
+    renderer.applyScene(SceneFormat.parse(readFileSync(SCENE_FILE, 'utf8')));
+    renderer.renderFrame();
+    checkReference('scene', renderer.frameBuffer.data);
+});
+
+if (updateReferences) {
+    after(() => {
+        const lines = Object.entries(references).map(([key, data]) => `    ${JSON.stringify(key)}: ${JSON.stringify(data)}`);
+        writeFileSync(REFERENCE_FILE, `{\n${lines.join(',\n')}\n}\n`);
+    });
+}
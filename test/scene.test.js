@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Renderer } from '../src/renderer.js';
+import { SceneFormat } from '../src/scene.js';
+import { MAX_CAMERA_PITCH } from '../src/math.js';
+
+const SCENE = readFileSync(new URL('./scene.json', import.meta.url), 'utf8');
+
+function sceneText(edit = () => {}) {
+    const scene = JSON.parse(SCENE);
+    edit(scene);
+    return JSON.stringify(scene);
+}
+
+test('rejects mesh faces whose texCoords do not match their indices', () => {
+    assert.throws(() => SceneFormat.parse(sceneText(scene => {
+        scene.meshes['obj:quad.obj'].faces[0].texCoords = [0, 0, 1, 0, 1];
+    })), /faces\[0\]\.texCoords/);
+});
+
+test('fills empty mesh texCoords with zero uvs', () => {
+    const renderer = new Renderer(32, 24);
+    renderer.applyScene(SceneFormat.parse(sceneText(scene => {
+        scene.meshes['obj:quad.obj'].faces[0].texCoords = [];
+    })));
+    assert.deepEqual(renderer.models['obj:quad.obj'].faces[0].texCoords, Array(4).fill({ u: 0, v: 0 }));
+    renderer.debug.view = 'uv';
+    renderer.renderFrame();
+});
+
+test('rejects fractional counts in procedural mesh parameters without touching the renderer', () => {
+    const renderer = new Renderer(32, 24);
+    const before = { ...renderer.meshParams.sphere };
+    assert.throws(() => renderer.applyScene(SceneFormat.parse(sceneText(scene => {
+        scene.meshParams.sphere.segments = 3.5;
+    }))), /meshParams\.sphere\.segments must be an integer/);
+    assert.deepEqual(renderer.meshParams.sphere, before);
+});
+
+test('rejects camera ranges that cannot build a view', () => {
+    assert.throws(() => SceneFormat.parse(sceneText(scene => {
+        scene.camera.near = 10;
+        scene.camera.far = 1;
+    })), /far must be greater than scene\.camera\.near/);
+    assert.throws(() => SceneFormat.parse(sceneText(scene => {
+        scene.camera.pitch = Math.PI / 2;
+    })), /scene\.camera\.pitch/);
+});
+
+test('keeps the steepest camera pitch loadable from a scene link', () => {
+    const scene = SceneFormat.parse(sceneText(scene => {
+        scene.camera.pitch = MAX_CAMERA_PITCH;
+    }));
+    assert.ok(SceneFormat.decodeHash(SceneFormat.encodeHash(scene)).camera.pitch <= MAX_CAMERA_PITCH);
+});
+
+test('reports textures it cannot decode without a browser', () => {
+    const renderer = new Renderer(32, 24);
+    const image = 'data:image/png;base64,iVBORw0KGgo=';
+    const { skippedAssets } = renderer.applyScene(SceneFormat.parse(sceneText(scene => {
+        scene.normalMap.image = image;
+        scene.objects[0].texture = image;
+    })));
+    assert.deepEqual(skippedAssets, ['normal map', 'Quad texture']);
+    assert.equal(renderer.objects[0].texture, null);
+});
+
+test('falls back to a built-in model when a scene link names an unloaded mesh', () => {
+    const renderer = new Renderer(32, 24);
+    const scene = SceneFormat.parse(sceneText());
+    delete scene.meshes;
+    const { missingModels } = renderer.applyScene(SceneFormat.decodeHash(SceneFormat.encodeHash(scene)));
+    assert.deepEqual(missingModels, ['obj:quad.obj']);
+    assert.deepEqual(renderer.objects.map(node => node.modelKey), ['cube', 'sphere']);
+    assert.equal(renderer.objects[1].translation.x, 1.3);
+    renderer.renderFrame();
+});